@@ -0,0 +1,252 @@
+/**
+ * Column layout of the USERS sheet (1-based)
+ * Maintained by hand: one row per person using the web app
+ */
+const USERS_COLUMNS = {
+  USERNAME: 1, // A
+  PIN: 2, // B - diisi PIN biasa, diganti hash otomatis saat dibaca
+  ROLE: 3, // C - admin | staff
+  ACTIVE: 4, // D - kosong/TRUE = aktif, FALSE = tidak bisa login
+};
+
+const USERS_HEADERS = ["Username", "PIN", "Role", "Active"];
+
+const USER_ROLE = {
+  ADMIN: "admin", // semua fitur, termasuk invoice dan pengaturan
+  STAFF: "staff", // input order dan lihat data
+};
+
+const ACCESS_PIN_HASH_PREFIX = "sha256:";
+const ACCESS_SESSION_SECONDS = 21600; // 6 jam, batas maksimal CacheService
+const ACCESS_MAX_FAILED_LOGINS = 5;
+const ACCESS_LOCKOUT_SECONDS = 900;
+// The web app shows the login form again when an error contains this text
+const ACCESS_SESSION_EXPIRED = "Sesi berakhir, silakan login lagi";
+
+// User of the current request, set by AccessControl.require()
+let accessCurrentUser = null;
+
+/**
+ * AccessControl Class
+ * PIN login for the web app. The web app runs as the deploying user for
+ * anyone with the link, so every google.script.run wrapper checks a session
+ * token first. Sessions live in the script cache and slide with each call.
+ */
+class AccessControl {
+  /**
+   * Checks a username and PIN and starts a session
+   * @param {string} username - Username from the USERS sheet (case-insensitive)
+   * @param {string} pin - PIN
+   * @returns {Object} Result object { success, message, token, username, role }
+   */
+  static login(username, pin) {
+    const cache = CacheService.getScriptCache();
+    const key = AccessControl._key(username);
+    const failKey = "login_fail_" + key;
+    const failures = Number(cache.get(failKey) || "0");
+
+    if (failures >= ACCESS_MAX_FAILED_LOGINS) {
+      return {
+        success: false,
+        message: "Terlalu banyak percobaan, coba lagi dalam 15 menit",
+      };
+    }
+
+    const user = AccessControl._getUsers().find((u) => u.key === key);
+    const valid =
+      user &&
+      user.active &&
+      AccessControl.safeEquals(
+        user.pinHash,
+        AccessControl._hashPin(user.username, String(pin || ""))
+      );
+
+    if (!valid) {
+      cache.put(failKey, String(failures + 1), ACCESS_LOCKOUT_SECONDS);
+      AuditLog.write("auth.login", {
+        outcome: LOG_OUTCOME.FAILURE,
+        details: { username: String(username || "") },
+      });
+      return { success: false, message: "Username atau PIN salah" };
+    }
+
+    cache.remove(failKey);
+
+    const token = Utilities.getUuid();
+    const session = { username: user.username, role: user.role };
+    cache.put(
+      "session_" + token,
+      JSON.stringify(session),
+      ACCESS_SESSION_SECONDS
+    );
+
+    accessCurrentUser = session;
+    AuditLog.write("auth.login", {
+      outcome: LOG_OUTCOME.SUCCESS,
+      details: { role: user.role },
+    });
+
+    return {
+      success: true,
+      message: "Login berhasil",
+      token: token,
+      username: user.username,
+      role: user.role,
+    };
+  }
+
+  /**
+   * Ends a session
+   * @param {string} token - Session token
+   */
+  static logout(token) {
+    if (token) {
+      CacheService.getScriptCache().remove("session_" + token);
+    }
+  }
+
+  /**
+   * Checks the session of a request, throws when it is missing or the role is too low
+   * Admins pass every check
+   * @param {string} token - Session token sent by the web app
+   * @param {string} [role=staff] - Required role
+   * @returns {Object} { username, role }
+   */
+  static require(token, role = USER_ROLE.STAFF) {
+    const cache = CacheService.getScriptCache();
+    const cached = token ? cache.get("session_" + token) : null;
+
+    if (!cached) {
+      throw new Error(ACCESS_SESSION_EXPIRED);
+    }
+
+    const session = JSON.parse(cached);
+    if (role === USER_ROLE.ADMIN && session.role !== USER_ROLE.ADMIN) {
+      throw new Error("Hanya admin yang boleh melakukan ini");
+    }
+
+    // Keep the session alive while it is being used
+    cache.put("session_" + token, cached, ACCESS_SESSION_SECONDS);
+
+    accessCurrentUser = session;
+    return session;
+  }
+
+  /**
+   * User of the current request
+   * @returns {Object|null} { username, role }, null outside a web app session
+   */
+  static currentUser() {
+    return accessCurrentUser;
+  }
+
+  /**
+   * Compares two secrets without stopping at the first differing character,
+   * so the response time does not give them away
+   * Used for PIN hashes, DOKU signatures and status page tokens
+   * @param {string} a - First value
+   * @param {string} b - Second value
+   * @returns {boolean} Whether both are equal
+   */
+  static safeEquals(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  /**
+   * Reads USERS, replacing PINs that were typed in by hand with their hash
+   * @private
+   */
+  static _getUsers() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_USERS);
+
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return [];
+    }
+
+    const range = sheet.getRange(
+      2,
+      1,
+      sheet.getLastRow() - 1,
+      USERS_HEADERS.length
+    );
+    const values = range.getValues();
+    let hashed = false;
+
+    const users = values
+      .map((v) => {
+        const username = String(v[USERS_COLUMNS.USERNAME - 1]).trim();
+        let pin = String(v[USERS_COLUMNS.PIN - 1]).trim();
+
+        if (username && pin && !pin.startsWith(ACCESS_PIN_HASH_PREFIX)) {
+          pin = AccessControl._hashPin(username, pin);
+          v[USERS_COLUMNS.PIN - 1] = pin;
+          hashed = true;
+        }
+
+        const active = v[USERS_COLUMNS.ACTIVE - 1];
+        return {
+          key: AccessControl._key(username),
+          username: username,
+          pinHash: pin,
+          role:
+            String(v[USERS_COLUMNS.ROLE - 1])
+              .trim()
+              .toLowerCase() === USER_ROLE.ADMIN
+              ? USER_ROLE.ADMIN
+              : USER_ROLE.STAFF,
+          active:
+            active === "" ||
+            active === true ||
+            String(active).toUpperCase() === "TRUE",
+        };
+      })
+      .filter((user) => user.username && user.pinHash);
+
+    if (hashed) {
+      range.setValues(values);
+    }
+
+    return users;
+  }
+
+  /**
+   * @private
+   */
+  static _hashPin(username, pin) {
+    const digest = Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      AccessControl._key(username) + ":" + pin,
+      Utilities.Charset.UTF_8
+    );
+    return (
+      ACCESS_PIN_HASH_PREFIX +
+      digest.map((b) => ("0" + (b & 0xff).toString(16)).slice(-2)).join("")
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _key(username) {
+    return String(username || "")
+      .trim()
+      .toLowerCase();
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function login(username, pin) {
+  return AccessControl.login(username, pin);
+}
+
+function logout(token) {
+  return AccessControl.logout(token);
+}
@@ -0,0 +1,191 @@
+/**
+ * Column layout of the LOG sheet
+ */
+const LOG_HEADERS = [
+  "Timestamp",
+  "User",
+  "Action",
+  "Invoice ID",
+  "Outcome",
+  "Details",
+];
+
+const LOG_OUTCOME = {
+  SUCCESS: "success",
+  FAILURE: "failure",
+  INFO: "info",
+};
+
+const LOG_REDACTED_KEYS = [
+  "signature",
+  "client-id",
+  "clientid",
+  "secret",
+  "secretkey",
+  "authorization",
+  "token",
+]; // dibandingkan tanpa huruf besar/kecil
+const LOG_MAX_DETAILS_LENGTH = 5000;
+
+/**
+ * AuditLog Class
+ * Writes structured entries to the LOG sheet and searches them
+ */
+class AuditLog {
+  /**
+   * Appends an entry to LOG, never throws
+   * @param {string} action - What happened, e.g. "invoice.create"
+   * @param {Object} [entry]
+   * @param {string} [entry.invoiceId] - Related invoice ID
+   * @param {string} [entry.outcome=info] - success | failure | info
+   * @param {Object|string} [entry.details] - Extra data, sensitive keys are redacted
+   */
+  static write(action, entry = {}) {
+    const details = AuditLog._stringify(AuditLog.redact(entry.details));
+    const outcome = entry.outcome || LOG_OUTCOME.INFO;
+
+    Logger.log(`[${action}] ${outcome} ${entry.invoiceId || ""} ${details}`);
+
+    try {
+      AuditLog._getSheet().appendRow([
+        new Date(),
+        AuditLog._currentUser(),
+        action,
+        entry.invoiceId || "",
+        outcome,
+        details,
+      ]);
+    } catch (error) {
+      Logger.log("AuditLog write failed: " + error.toString());
+    }
+  }
+
+  /**
+   * Searches LOG entries, newest first
+   * @param {Object} [filters] - { query, action, outcome, limit }
+   * query matches user, action, invoice ID and details (case-insensitive)
+   * @returns {Array} Array of entries with ISO timestamp
+   */
+  static search(filters = {}) {
+    const sheet = AuditLog._getSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    const query = (filters.query || "").toString().trim().toLowerCase();
+    const limit = Number(filters.limit) || 200;
+    const data = sheet
+      .getRange(2, 1, lastRow - 1, LOG_HEADERS.length)
+      .getValues();
+    const entries = [];
+
+    for (let i = data.length - 1; i >= 0 && entries.length < limit; i--) {
+      const [timestamp, user, action, invoiceId, outcome, details] = data[i];
+
+      if (filters.action && !String(action).startsWith(filters.action)) {
+        continue;
+      }
+      if (filters.outcome && outcome !== filters.outcome) {
+        continue;
+      }
+      if (
+        query &&
+        ![user, action, invoiceId, details].some((v) =>
+          String(v).toLowerCase().includes(query)
+        )
+      ) {
+        continue;
+      }
+
+      entries.push({
+        timestamp:
+          timestamp instanceof Date
+            ? timestamp.toISOString()
+            : String(timestamp),
+        user: String(user),
+        action: String(action),
+        invoiceId: String(invoiceId),
+        outcome: String(outcome),
+        details: String(details),
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Returns a copy of the value with sensitive keys replaced by [REDACTED]
+   * @param {*} value - Object, array or primitive
+   * @returns {*} Redacted copy
+   */
+  static redact(value) {
+    if (Array.isArray(value)) {
+      return value.map((v) => AuditLog.redact(v));
+    }
+
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      const copy = {};
+      Object.keys(value).forEach((key) => {
+        copy[key] = LOG_REDACTED_KEYS.includes(key.toLowerCase())
+          ? "[REDACTED]"
+          : AuditLog.redact(value[key]);
+      });
+      return copy;
+    }
+
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  static _stringify(details) {
+    if (details === undefined || details === null) return "";
+    const text =
+      typeof details === "string" ? details : JSON.stringify(details);
+    return text.length > LOG_MAX_DETAILS_LENGTH
+      ? text.substring(0, LOG_MAX_DETAILS_LENGTH) + "…"
+      : text;
+  }
+
+  /**
+   * @private
+   */
+  static _currentUser() {
+    // Web app requests run as the deploying user, so prefer the logged-in user
+    const user = AccessControl.currentUser();
+    if (user) {
+      return user.username;
+    }
+
+    try {
+      return Session.getActiveUser().getEmail() || "anonymous";
+    } catch (error) {
+      return "anonymous";
+    }
+  }
+
+  /**
+   * Gets the LOG sheet, creating it and its header if needed
+   * @private
+   */
+  static _getSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_LOG) || ss.insertSheet(SHEET_LOG);
+
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(LOG_HEADERS);
+    }
+
+    return sheet;
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function searchLogs(token, filters) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return AuditLog.search(filters);
+}
@@ -0,0 +1,390 @@
+const TRANSFER_CODE_MAX = 999; // kode unik 1-999 ditambahkan ke total invoice
+const MUTATION_HEADER_SCAN_ROWS = 15; // file mutasi bank sering diawali info rekening
+
+// Column names recognised in a mutation CSV header row (lowercase)
+const MUTATION_CSV_HEADERS = {
+  date: ["tanggal", "tgl", "date", "tanggal transaksi", "transaction date"],
+  description: ["keterangan", "deskripsi", "description", "uraian", "remark"],
+  amount: ["jumlah", "nominal", "amount", "mutasi"],
+  type: ["db/cr", "cr/db", "d/k", "tipe", "type", "jenis"],
+  credit: ["kredit", "credit", "cr", "masuk"], // debit column not needed, empty credit = debit row
+};
+
+/**
+ * BankTransfer Class
+ * Manual bank transfer as an alternative to DOKU: the invoice total gets a
+ * unique 3-digit code so the amount on the bank statement identifies the
+ * invoice. Imported mutations are matched to unpaid transfer invoices; only
+ * mutations that fit exactly one invoice are confirmed without review.
+ */
+class BankTransfer {
+  /**
+   * Bank details printed on invoices of an event
+   * @param {string} sheetName - Event sheet name
+   * @returns {string} Bank Details of the EVENT row, else BANK_DETAILS from CONFIG
+   */
+  static bankDetails(sheetName) {
+    return (
+      EventSettings.get(sheetName).bankDetails || Config.get("BANK_DETAILS")
+    );
+  }
+
+  /**
+   * Picks a code so that baseAmount + code differs from the amount of every
+   * open transfer invoice. Call inside Concurrency.withLock()
+   * @param {number} baseAmount - Invoice total without the code
+   * @returns {number} Code between 1 and TRANSFER_CODE_MAX
+   */
+  static pickUniqueCode(baseAmount) {
+    // Drafts count too: another invoice may be rendering outside the lock
+    const taken = BankTransfer._openInvoices(true).map((inv) => inv.amountDue);
+    const free = [];
+
+    for (let code = 1; code <= TRANSFER_CODE_MAX; code++) {
+      if (!taken.includes(baseAmount + code)) {
+        free.push(code);
+      }
+    }
+
+    if (free.length === 0) {
+      throw new Error(
+        "Semua kode unik untuk nominal ini sedang dipakai, coba lagi setelah ada yang dibayar"
+      );
+    }
+
+    return free[Math.floor(Math.random() * free.length)];
+  }
+
+  /**
+   * Matches a bank mutation CSV to unpaid transfer invoices, without writing
+   * @param {string} text - CSV content of the bank statement
+   * @returns {Object} { mutations: [{ line, date, description, amount, status,
+   *   invoiceId, candidates }], errors: [{ line, text, message }], skipped }
+   * status: matched (one invoice) | ambiguous (several, or several mutations
+   * for one invoice) | unmatched; skipped counts debit rows
+   */
+  static preview(text) {
+    const parsed = BankTransfer._parseMutations(text);
+    const invoices = BankTransfer._openInvoices();
+
+    const mutations = parsed.mutations.map((mutation) => {
+      const candidates = invoices
+        .filter((inv) => inv.amountDue === mutation.amount)
+        .map((inv) => ({
+          invoiceId: inv.invoiceId,
+          customerName: inv.customerName,
+          event: inv.event,
+          amountDue: inv.amountDue,
+        }));
+      return Object.assign(mutation, { candidates: candidates });
+    });
+
+    // Two transfers of the same amount may be a duplicate payment: review both
+    const hits = {};
+    mutations.forEach((m) => {
+      if (m.candidates.length === 1) {
+        const id = m.candidates[0].invoiceId;
+        hits[id] = (hits[id] || 0) + 1;
+      }
+    });
+
+    mutations.forEach((m) => {
+      if (m.candidates.length === 0) {
+        m.status = "unmatched";
+        m.invoiceId = "";
+      } else if (
+        m.candidates.length === 1 &&
+        hits[m.candidates[0].invoiceId] === 1
+      ) {
+        m.status = "matched";
+        m.invoiceId = m.candidates[0].invoiceId;
+      } else {
+        m.status = "ambiguous";
+        m.invoiceId = "";
+      }
+    });
+
+    return {
+      mutations: mutations,
+      errors: parsed.errors,
+      skipped: parsed.skipped,
+    };
+  }
+
+  /**
+   * Marks transfer invoices paid from reviewed mutations
+   * @param {Array} matches - [{ invoiceId, amount, date, description }]
+   * @returns {Object} Result object { success, message, results: [{ invoiceId, success, message }] }
+   */
+  static confirm(matches) {
+    const results = (matches || []).map((match) => {
+      try {
+        const invoice = OrderSheet.getInvoices().find(
+          (inv) => inv.invoiceId === match.invoiceId
+        );
+        if (!invoice) {
+          throw new Error("Invoice not found: " + match.invoiceId);
+        }
+        if (invoice.paymentMethod !== PAYMENT_METHOD.TRANSFER) {
+          throw new Error(`${match.invoiceId} bukan invoice transfer bank`);
+        }
+
+        const result = OrderSheet.confirmPayment(
+          match.invoiceId,
+          Number(match.amount),
+          match.date
+        );
+
+        AuditLog.write("payment.transfer", {
+          invoiceId: match.invoiceId,
+          outcome: LOG_OUTCOME.SUCCESS,
+          details: {
+            amount: Number(match.amount),
+            date: match.date,
+            description: match.description || "",
+            changed: result.changed,
+          },
+        });
+
+        return {
+          invoiceId: match.invoiceId,
+          success: true,
+          message: result.message,
+        };
+      } catch (error) {
+        AuditLog.write("payment.transfer", {
+          invoiceId: match.invoiceId || "",
+          outcome: LOG_OUTCOME.FAILURE,
+          details: { amount: match.amount, error: error.message },
+        });
+        return {
+          invoiceId: match.invoiceId,
+          success: false,
+          message: error.message,
+        };
+      }
+    });
+    const confirmed = results.filter((r) => r.success).length;
+
+    return {
+      success: confirmed === results.length,
+      message: `${confirmed} dari ${results.length} pembayaran transfer dikonfirmasi`,
+      results: results,
+    };
+  }
+
+  /**
+   * Reads an amount from a bank statement: "1,250,000.00 CR", "1.250.000,00",
+   * "Rp 85.117", "-50.000". Two digits after the last separator are cents
+   * @param {string} text - Amount cell
+   * @returns {Object|null} { amount, credit } where credit is true, false or
+   *   null when the cell does not say, null when it is not an amount
+   */
+  static parseAmount(text) {
+    const value = String(text || "")
+      .trim()
+      .toUpperCase();
+    const digits = value.replace(/[^\d.,]/g, "");
+
+    if (!/\d/.test(digits)) {
+      return null;
+    }
+
+    const cents = digits.match(/[.,](\d{2})$/);
+    const whole = (cents ? digits.slice(0, -3) : digits).replace(/[.,]/g, "");
+    const amount = Number(whole + (cents ? "." + cents[1] : ""));
+
+    let credit = null;
+    if (/\bC(R|REDIT)?\b|\bK\b/.test(value)) credit = true;
+    if (/\bD(B|R|EBIT|EBET)?\b/.test(value) || /^-/.test(value)) credit = false;
+
+    return isNaN(amount) ? null : { amount: amount, credit: credit };
+  }
+
+  /**
+   * Unpaid transfer invoices, including those past any due date
+   * @private
+   */
+  static _openInvoices(includeDrafts = false) {
+    const open = [INVOICE_STATUS.UNPAID, INVOICE_STATUS.EXPIRED];
+    if (includeDrafts) {
+      open.push(INVOICE_STATUS.DRAFT);
+    }
+
+    return OrderSheet.getInvoices().filter(
+      (inv) =>
+        inv.paymentMethod === PAYMENT_METHOD.TRANSFER &&
+        open.includes(inv.status)
+    );
+  }
+
+  /**
+   * Credit rows of a mutation CSV; rows above the header row are skipped
+   * @private
+   */
+  static _parseMutations(text) {
+    const lines = String(text || "").split(/\r?\n/);
+    const mutations = [];
+    const errors = [];
+    let skipped = 0;
+
+    const layout = BankTransfer._findHeader(lines);
+    if (!layout) {
+      throw new Error(
+        "Header kolom tidak dikenali, file harus punya kolom Tanggal dan Jumlah/Kredit"
+      );
+    }
+
+    const { delimiter, headerIndex, columns } = layout;
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+      const fields = OrderImport.splitCsvLine(lines[i], delimiter);
+      if (fields.every((f) => f === "")) continue;
+
+      const field = (column) =>
+        columns[column] === undefined ? "" : fields[columns[column]] || "";
+
+      // Closing rows like "Saldo Akhir" have no transaction date
+      if (!/\d/.test(field("date"))) continue;
+
+      // Separate credit/debit columns, or one amount column with a CR/DB marker
+      const credit = columns.credit !== undefined;
+      const amount = credit
+        ? field("credit")
+        : field("amount") + " " + field("type");
+      const parsed = BankTransfer.parseAmount(amount);
+
+      if (
+        (credit && (!field("credit") || (parsed && parsed.amount === 0))) ||
+        (parsed && parsed.credit === false)
+      ) {
+        skipped++;
+        continue;
+      }
+
+      if (!parsed) {
+        errors.push({
+          line: i + 1,
+          text: lines[i],
+          message: "Jumlah tidak terbaca",
+        });
+        continue;
+      }
+
+      const date = BankTransfer._parseDate(field("date"));
+      if (!date) {
+        errors.push({
+          line: i + 1,
+          text: lines[i],
+          message: "Tanggal tidak terbaca",
+        });
+        continue;
+      }
+
+      mutations.push({
+        line: i + 1,
+        date: date,
+        description: field("description"),
+        amount: parsed.amount,
+      });
+    }
+
+    return { mutations: mutations, errors: errors, skipped: skipped };
+  }
+
+  /**
+   * Finds the header row and the column of each field
+   * @private
+   */
+  static _findHeader(lines) {
+    const scan = Math.min(lines.length, MUTATION_HEADER_SCAN_ROWS);
+
+    for (let i = 0; i < scan; i++) {
+      for (const delimiter of ["\t", ";", ","]) {
+        const columns = {};
+        const header = OrderImport.splitCsvLine(lines[i], delimiter);
+        header.forEach((field, c) => {
+          const name = field.toLowerCase();
+          Object.keys(MUTATION_CSV_HEADERS).forEach((column) => {
+            if (
+              columns[column] === undefined &&
+              MUTATION_CSV_HEADERS[column].includes(name)
+            ) {
+              columns[column] = c;
+            }
+          });
+        });
+
+        if (
+          columns.date !== undefined &&
+          (columns.amount !== undefined || columns.credit !== undefined)
+        ) {
+          // Some banks put CR/DB in an unnamed column right after the amount
+          if (
+            columns.type === undefined &&
+            columns.amount !== undefined &&
+            header[columns.amount + 1] === ""
+          ) {
+            columns.type = columns.amount + 1;
+          }
+          return { delimiter: delimiter, headerIndex: i, columns: columns };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Transaction date as ISO string; "yyyy-mm-dd", or "dd/mm/yyyy", "dd-mm-yy"
+   * and "dd/mm" (this year) at the start of the cell as most bank exports
+   * write it
+   * @private
+   * @returns {string|null} null when the cell is not a date
+   */
+  static _parseDate(text) {
+    // BCA writes the date as text: '17/10
+    const value = String(text || "")
+      .trim()
+      .replace(/^'/, "");
+    const iso = value.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})\b/);
+    const local = value.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?\b/);
+
+    let day, month, year;
+    if (iso) {
+      [, year, month, day] = iso.map(Number);
+    } else if (local) {
+      [, day, month, year] = local.map(Number);
+      year = local[3] ? year : new Date().getFullYear();
+      if (year < 100) year += 2000;
+    } else {
+      return null;
+    }
+
+    const date = new Date(year, month - 1, day);
+    // new Date() rolls 31/02 over into March, so check the parts came back
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+      return null;
+    }
+    return date.toISOString();
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function previewBankMutations(token, text) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  try {
+    return Object.assign(
+      { success: true, message: "" },
+      BankTransfer.preview(text)
+    );
+  } catch (error) {
+    return { success: false, message: "Error: " + error.message };
+  }
+}
+
+function confirmBankTransfers(token, matches) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return BankTransfer.confirm(matches);
+}
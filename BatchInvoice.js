@@ -0,0 +1,269 @@
+const BATCH_TIME_BUDGET_MS = 4.5 * 60 * 1000; // berhenti sebelum batas eksekusi Apps Script (6 menit)
+const BATCH_PROPERTY_PREFIX = "batch_";
+
+/**
+ * BatchInvoice Class
+ * Generates invoices for every customer of an event sheet who still has open items.
+ * A job is stored in Script Properties and processed in steps, so it can be
+ * continued after the Apps Script execution time limit. The job property only
+ * holds a cursor and counters; every customer and every result has a property
+ * of its own, as one value may not exceed 9 KB.
+ */
+class BatchInvoice {
+  /**
+   * Starts a batch job, or returns the unfinished job of the same event
+   * @param {string} sheetName - Name of the event sheet
+   * @returns {Object} Job progress, see _progress()
+   */
+  static startBatch(sheetName) {
+    const existing = BatchInvoice.getActiveBatch(sheetName);
+    if (existing) {
+      return existing;
+    }
+
+    const customers = CreateInvoice.getCustomersFromSheet(sheetName).filter(
+      (customerName) =>
+        CreateInvoice.getCustomerItems(sheetName, customerName).some(
+          (item) => !item.invoiceId
+        )
+    );
+
+    const job = {
+      jobId: sheetName + "_" + new Date().getTime(),
+      sheetName: sheetName,
+      total: customers.length,
+      done: 0, // cursor: customers before it have a result
+      succeeded: 0,
+      failed: 0,
+      startedAt: new Date().toISOString(),
+      finishedAt: "",
+      runningUntil: 0,
+    };
+
+    // The finished job of this event is replaced, drop its entries
+    const previous = BatchInvoice._loadJob(sheetName);
+    if (previous) {
+      BatchInvoice._deleteEntries(previous);
+    }
+
+    const values = {};
+    customers.forEach((customerName, i) => {
+      values[BatchInvoice._entryKey(job, "customer", i)] = customerName;
+    });
+    values[BATCH_PROPERTY_PREFIX + sheetName] = JSON.stringify(job);
+    PropertiesService.getScriptProperties().setProperties(values);
+
+    return BatchInvoice._progress(job);
+  }
+
+  /**
+   * Gets the unfinished job of an event sheet, if any
+   * @param {string} sheetName - Name of the event sheet
+   * @returns {Object|null} Job progress or null
+   */
+  static getActiveBatch(sheetName) {
+    const job = BatchInvoice._loadJob(sheetName);
+    return job && !job.finishedAt ? BatchInvoice._progress(job) : null;
+  }
+
+  /**
+   * Processes customers of the job until the queue is empty or the time budget is used
+   * @param {string} sheetName - Name of the event sheet
+   * @returns {Object} Job progress, see _progress()
+   */
+  static runBatchStep(sheetName) {
+    const startTime = new Date().getTime();
+    const job = BatchInvoice._loadJob(sheetName);
+
+    if (!job) {
+      throw new Error("Tidak ada batch untuk event " + sheetName);
+    }
+
+    // Another step is still running (e.g. double click or second tab)
+    if (job.finishedAt || job.runningUntil > startTime) {
+      return BatchInvoice._progress(job);
+    }
+
+    job.runningUntil = startTime + BATCH_TIME_BUDGET_MS + 60 * 1000;
+    BatchInvoice._saveJob(job);
+
+    const props = PropertiesService.getScriptProperties();
+    try {
+      while (
+        job.done < job.total &&
+        new Date().getTime() - startTime < BATCH_TIME_BUDGET_MS
+      ) {
+        const customerName = props.getProperty(
+          BatchInvoice._entryKey(job, "customer", job.done)
+        );
+        const result = BatchInvoice._invoiceCustomer(sheetName, customerName);
+
+        // Result first: the cursor only moves past a customer whose result is stored
+        props.setProperty(
+          BatchInvoice._entryKey(job, "result", job.done),
+          JSON.stringify(result)
+        );
+        job.done++;
+        job[result.success ? "succeeded" : "failed"]++;
+        BatchInvoice._saveJob(job);
+      }
+
+      if (job.done >= job.total) {
+        job.finishedAt = new Date().toISOString();
+      }
+    } finally {
+      // Release the job even when a save failed, the next step continues at the cursor
+      job.runningUntil = 0;
+      BatchInvoice._saveJob(job);
+    }
+
+    return BatchInvoice._progress(job);
+  }
+
+  /**
+   * Creates the invoice for one customer with all of their open items
+   * @private
+   */
+  static _invoiceCustomer(sheetName, customerName) {
+    try {
+      const openItems = CreateInvoice.getCustomerItems(
+        sheetName,
+        customerName
+      ).filter((item) => !item.invoiceId);
+
+      if (openItems.length === 0) {
+        return {
+          customerName: customerName,
+          success: true,
+          message: "Tidak ada item yang belum di-invoice",
+        };
+      }
+
+      const phoneNumber = BatchInvoice._findPhoneNumber(customerName);
+      if (!phoneNumber) {
+        throw new Error("No. WhatsApp belum pernah tercatat");
+      }
+
+      const result = CreateInvoice.createInvoice({
+        sheetName: sheetName,
+        customerName: customerName,
+        phoneNumber: phoneNumber,
+        selectedItems: openItems,
+      });
+
+      return {
+        customerName: customerName,
+        success: true,
+        invoiceId: result.invoiceId,
+        fileUrl: result.fileUrl,
+        message: `${openItems.length} item`,
+      };
+    } catch (error) {
+      return {
+        customerName: customerName,
+        success: false,
+        message: error.message.substring(0, 150),
+      };
+    }
+  }
+
+  /**
+   * Finds the phone number in the customer directory, or else the one used
+   * on the customer's most recent invoice
+   * @private
+   */
+  static _findPhoneNumber(customerName) {
+    const customer = CustomerDirectory.find(customerName);
+    if (customer && customer.phone) {
+      return customer.phone;
+    }
+
+    const invoice = OrderSheet.getInvoices().find(
+      (inv) => inv.customerName === customerName && inv.phoneNumber
+    );
+    return invoice ? invoice.phoneNumber : "";
+  }
+
+  /**
+   * @private
+   */
+  static _progress(job) {
+    const values = PropertiesService.getScriptProperties().getProperties();
+    const results = [];
+    for (let i = 0; i < job.done; i++) {
+      const value = values[BatchInvoice._entryKey(job, "result", i)];
+      if (value) {
+        results.push(JSON.parse(value));
+      }
+    }
+
+    return {
+      jobId: job.jobId,
+      sheetName: job.sheetName,
+      total: job.total,
+      done: job.done,
+      succeeded: job.succeeded,
+      failed: job.failed,
+      finished: !!job.finishedAt,
+      results: results,
+    };
+  }
+
+  /**
+   * Property key of a customer or result of a job, e.g. batch_Event_1700000000000_result_3
+   * @private
+   */
+  static _entryKey(job, type, index) {
+    return `${BATCH_PROPERTY_PREFIX}${job.jobId}_${type}_${index}`;
+  }
+
+  /**
+   * @private
+   */
+  static _deleteEntries(job) {
+    const props = PropertiesService.getScriptProperties();
+    const prefix = BATCH_PROPERTY_PREFIX + job.jobId + "_";
+    props
+      .getKeys()
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => props.deleteProperty(key));
+  }
+
+  /**
+   * @private
+   */
+  static _loadJob(sheetName) {
+    const value = PropertiesService.getScriptProperties().getProperty(
+      BATCH_PROPERTY_PREFIX + sheetName
+    );
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * @private
+   */
+  static _saveJob(job) {
+    PropertiesService.getScriptProperties().setProperty(
+      BATCH_PROPERTY_PREFIX + job.sheetName,
+      JSON.stringify(job)
+    );
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function startBatchInvoice(token, sheetName) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return BatchInvoice.startBatch(sheetName);
+}
+
+function getActiveBatchInvoice(token, sheetName) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return BatchInvoice.getActiveBatch(sheetName);
+}
+
+function runBatchInvoiceStep(token, sheetName) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return BatchInvoice.runBatchStep(sheetName);
+}
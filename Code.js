@@ -1,24 +1,49 @@
 /* ========== CONFIG ========== */
-const WEBHOOK_URL =
-  "https://n8n-w3fobgi1llim.cica.sumopod.my.id/webhook/65169f52-53ec-4323-8c4f-26adf05d3370";
+// Settings (DOKU, webhook, Drive folder) are read from the CONFIG sheet, see Config.js
+const SHEET_TEMPLATE = "TEMPLATE"; // nama sheet template struktur order
 const SHEET_ORDER = "ORDER"; // nama sheet untuk menyimpan data
 const SHEET_INVOICE = "INVOICE"; // nama sheet untuk template invoice
 const SHEET_TEMP_INVOICE = "TEMP_INVOICE"; // nama sheet untuk template invoice
 const SHEET_CONFIG = "CONFIG"; // nama sheet untuk menyimpan data
-const OUTPUT_FOLDER_ID = "1I48VLvw1PbMfkQa3OQwHYS5iWEvyMLSu"; // ganti dengan folder ID untuk menyimpan hasil (PDF & doc copy)
+const SHEET_LOG = "LOG"; // nama sheet untuk log sistem
+const SHEET_OUTBOX = "OUTBOX"; // nama sheet antrian webhook
+const SHEET_CUSTOMER = "CUSTOMER"; // nama sheet direktori customer
+const SHEET_PRODUCT = "PRODUCT"; // nama sheet katalog produk
+const SHEET_STOCK = "STOCK"; // nama sheet batas stok per event
+const SHEET_PROMO = "PROMO"; // nama sheet aturan kode promo
+const SHEET_EVENT = "EVENT"; // nama sheet pengaturan per event
+const SHEET_USERS = "USERS"; // nama sheet akun web app (PIN dan role)
+const EVENT_INVOICE_COLUMN = 5; // kolom E di sheet event: Invoice ID yang sudah menagih baris tersebut
+const EVENT_PRODUCT_COLUMN = 6; // kolom F di sheet event: kode produk katalog atau "non-catalog"
 
 /* ========== WEB APP ROUTING ========== */
 
 /**
  * Main entry point for web app
- * Serves the main app with tab navigation
+ * Serves the main app with tab navigation, or the customer's invoice status
+ * page for ?invoice=<id>&token=<token> (see InvoiceStatusPage)
  */
 function doGet(e) {
+  if (e && e.parameter && e.parameter.invoice) {
+    return InvoiceStatusPage.render(e.parameter);
+  }
+
   return HtmlService.createHtmlOutputFromFile("MainAppSimple")
     .setTitle("Order Management System")
     .setXFrameOptionsMode(HtmlService.XFrameOptionsMode.ALLOWALL);
 }
 
+/**
+ * Entry point for HTTP POST requests
+ * Receives DOKU payment notifications forwarded by the n8n relay
+ */
+function doPost(e) {
+  const result = PaymentNotification.handle(e);
+  return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
+
 /**
  * Include helper to import HTML files
  * Used by MainApp to load tab contents
@@ -31,8 +56,8 @@ function include(filename) {
  * Test function to verify getSheets is working
  * Can be run directly from Apps Script editor
  */
-function testGetSheets() {
-  const sheets = getSheets();
+function testGetSheets_() {
+  const sheets = InputOrder.getSheets();
   Logger.log("Available sheets: " + JSON.stringify(sheets));
   return sheets;
 }
@@ -43,7 +68,8 @@ function testGetSheets() {
  * Gets all available sheets for input order (excludes system sheets)
  * Wrapper for InputOrder.getSheets()
  */
-function getSheets() {
+function getSheets(token) {
+  AccessControl.require(token);
   return InputOrder.getSheets();
 }
 
@@ -51,7 +77,8 @@ function getSheets() {
  * Gets names with their row ranges from a specific sheet
  * Wrapper for InputOrder.getNames()
  */
-function getNames(sheetName) {
+function getNames(token, sheetName) {
+  AccessControl.require(token);
   return InputOrder.getNames(sheetName);
 }
 
@@ -59,21 +86,22 @@ function getNames(sheetName) {
  * Submits a new order to the sheet
  * Wrapper for InputOrder.submitOrder()
  */
-function submitOrder(data) {
+function submitOrder(token, data) {
+  AccessControl.require(token);
   return InputOrder.submitOrder(data);
 }
 
-function tempAuthorizeDriveAccess() {
+function tempAuthorizeDriveAccess_() {
   DriveApp.getFolders(); // This line will trigger the authorization prompt
 }
 
-function tempAuthorizeFetch(e) {
+function tempAuthorizeFetch_(e) {
   var response = UrlFetchApp.fetch("https://guragiru.com/");
   Logger.log(response.getContentText());
 }
 
-function tempAuthorizeCreateDriveFile() {
-  var folder = DriveApp.getFolderById(OUTPUT_FOLDER_ID);
+function tempAuthorizeCreateDriveFile_() {
+  var folder = DriveApp.getFolderById(Config.get("OUTPUT_FOLDER_ID"));
   var file = folder.createFile("Test File", "Hello World!");
   Logger.log(file.getUrl());
 }
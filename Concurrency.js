@@ -0,0 +1,104 @@
+const LOCK_TIMEOUT_MS = 30000;
+const REQUEST_RUNNING = "running";
+const REQUEST_DONE = "done"; // result too large for the cache, only the fact that it ran
+const REQUEST_RUNNING_SECONDS = 600; // lebih lama dari batas eksekusi Apps Script (6 menit)
+const REQUEST_RESULT_SECONDS = 21600; // 6 jam, batas maksimal CacheService
+
+/**
+ * Concurrency Class
+ * Locking for sections that read and then write shared state (row positions
+ * in event sheets, the invoice counter, ORDER) and idempotency keys for
+ * requests that must not run twice.
+ */
+class Concurrency {
+  /**
+   * Runs fn while holding the document lock
+   * The webhook outbox uses the script lock, so a long outbox run does not
+   * block order input
+   * @param {Function} fn - Critical section, should be short
+   * @returns {*} Return value of fn
+   */
+  static withLock(fn) {
+    const lock = LockService.getDocumentLock();
+    if (!lock.tryLock(LOCK_TIMEOUT_MS)) {
+      throw new Error("Sistem sedang sibuk, coba lagi sebentar");
+    }
+
+    try {
+      return fn();
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Runs fn once per request ID; a repeat of the same request (double-click,
+   * retry after a timeout) gets the first result instead of running again.
+   * Failures are not remembered, so the same request can be retried after an error.
+   * A result too large to cache is remembered as done, a repeat gets an error
+   * @param {string} requestId - Idempotency key from the form, empty = always run
+   * @param {Function} fn - Request handler
+   * @returns {*} Return value of fn, or the stored value of the first run
+   */
+  static once(requestId, fn) {
+    if (!requestId) {
+      return fn();
+    }
+
+    const cache = CacheService.getScriptCache();
+    const key = "request_" + String(requestId).substring(0, 100);
+    const previous = Concurrency.withLock(() => {
+      const cached = cache.get(key);
+      if (!cached) {
+        cache.put(key, REQUEST_RUNNING, REQUEST_RUNNING_SECONDS);
+      }
+      return cached;
+    });
+
+    if (previous === REQUEST_RUNNING) {
+      throw new Error(
+        "Permintaan yang sama masih diproses, tunggu sebentar lalu muat ulang"
+      );
+    }
+    if (previous === REQUEST_DONE) {
+      throw new Error(
+        "Permintaan yang sama sudah diproses, muat ulang untuk melihat hasilnya"
+      );
+    }
+    if (previous) {
+      return JSON.parse(previous);
+    }
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      cache.remove(key);
+      throw error;
+    }
+
+    if (result && result.success === false) {
+      cache.remove(key);
+      return result;
+    }
+
+    // fn() has run: from here on the key must never be removed, or a retry
+    // would run it again
+    try {
+      cache.put(
+        key,
+        JSON.stringify(result === undefined ? null : result),
+        REQUEST_RESULT_SECONDS
+      );
+    } catch (error) {
+      // Over the 100 KB value limit of CacheService
+      Logger.log(`Result of request ${requestId} not cached: ${error}`);
+      try {
+        cache.put(key, REQUEST_DONE, REQUEST_RESULT_SECONDS);
+      } catch (markerError) {
+        Logger.log(`Request ${requestId} stays marked running: ${markerError}`);
+      }
+    }
+    return result;
+  }
+}
@@ -0,0 +1,302 @@
+/**
+ * Settings read from the CONFIG sheet
+ * CONFIG holds key/value rows: column A is the key, column B the value.
+ * Keys are matched case-insensitively with spaces treated as underscores,
+ * so "DOKU Client ID" and "DOKU_CLIENT_ID" are the same key.
+ *
+ * Each setting:
+ * - type: string | number | boolean | url | enum
+ * - required: must have a value (from CONFIG or default)
+ * - default: used when CONFIG has no value
+ * - legacyCell: fixed cell used before CONFIG had key/value rows, read only
+ *   while the sheet has no recognised key at all
+ * - secret: never sent to the browser, not even in part
+ */
+const CONFIG_SCHEMA = {
+  DOKU_CLIENT_ID: {
+    type: "string",
+    required: true,
+    legacyCell: "B2",
+    description: "Client ID DOKU",
+  },
+  DOKU_SECRET_KEY: {
+    type: "string",
+    required: true,
+    secret: true,
+    legacyCell: "B3",
+    description: "Secret key DOKU",
+  },
+  DOKU_ENVIRONMENT: {
+    type: "enum",
+    values: ["sandbox", "production"],
+    default: "sandbox",
+    legacyCell: "B4",
+    description: "Environment DOKU (sandbox/production)",
+  },
+  DOKU_NOTIFICATION_TARGET: {
+    type: "string",
+    default: "/webhook/doku-notification",
+    description:
+      "Path URL notifikasi yang didaftarkan di DOKU (Request-Target)",
+  },
+  WEBHOOK_URL: {
+    type: "url",
+    required: true,
+    default:
+      "https://n8n-w3fobgi1llim.cica.sumopod.my.id/webhook/65169f52-53ec-4323-8c4f-26adf05d3370",
+    description: "URL webhook n8n untuk kirim invoice ke WhatsApp",
+  },
+  WEBHOOK_SECRET: {
+    type: "string",
+    required: true,
+    secret: true,
+    description:
+      "Secret untuk tanda tangan HMAC webhook (header X-Webhook-Signature)",
+  },
+  INVOICE_RENDERER: {
+    type: "enum",
+    values: ["html", "sheet"],
+    default: "html",
+    description:
+      "Cara membuat dokumen invoice: html (PDF dari template, branding per event) atau sheet (salinan sheet INVOICE)",
+  },
+  STATUS_PAGE_SECRET: {
+    type: "string",
+    required: true,
+    secret: true,
+    description:
+      "Secret untuk token link status invoice customer (ganti = semua link lama tidak berlaku)",
+  },
+  WEB_APP_URL: {
+    type: "url",
+    description:
+      "URL web app (/exec) untuk link status invoice, kosong = URL deployment yang aktif",
+  },
+  BANK_DETAILS: {
+    type: "string",
+    description:
+      "Rekening tujuan transfer bank di invoice (bank, no. rekening, atas nama), dipakai kalau event tidak punya Bank Details sendiri",
+  },
+  OUTPUT_FOLDER_ID: {
+    type: "string",
+    required: true,
+    default: "1I48VLvw1PbMfkQa3OQwHYS5iWEvyMLSu",
+    description: "ID folder Drive untuk menyimpan file invoice",
+  },
+};
+
+let CONFIG_CACHE = null; // CONFIG sheet values, read once per execution
+
+/**
+ * Config Class
+ * Read-only access to the CONFIG sheet with defaults and validation
+ */
+class Config {
+  /**
+   * Gets a validated setting
+   * @param {string} key - Setting key from CONFIG_SCHEMA
+   * @returns {*} Setting value converted to its type
+   */
+  static get(key) {
+    const check = Config._check(key);
+
+    if (check.status === "missing" || check.status === "invalid") {
+      throw new Error(`Config ${key}: ${check.message}`);
+    }
+
+    return check.value;
+  }
+
+  /**
+   * Checks every setting without throwing
+   * Secret values are left out; status and message still tell whether they are set
+   * @returns {Array} Array of { key, description, status, message, value }
+   * status: ok | default | missing | invalid
+   */
+  static healthCheck() {
+    return Object.keys(CONFIG_SCHEMA).map((key) => {
+      let check;
+      try {
+        check = Config._check(key);
+      } catch (error) {
+        check = { status: "invalid", message: error.message, value: "" };
+      }
+
+      const setting = CONFIG_SCHEMA[key];
+      const value = check.value === undefined ? "" : String(check.value);
+
+      return {
+        key: key,
+        description: setting.description,
+        status: check.status,
+        message: check.message,
+        value: setting.secret ? "" : value,
+      };
+    });
+  }
+
+  /**
+   * Sheets used by the system, never shown in event/sheet dropdowns
+   * @returns {Array} Array of sheet names
+   */
+  static getSystemSheets() {
+    return [
+      SHEET_TEMPLATE,
+      SHEET_CONFIG,
+      SHEET_ORDER,
+      SHEET_LOG,
+      SHEET_OUTBOX,
+      SHEET_CUSTOMER,
+      SHEET_PRODUCT,
+      SHEET_STOCK,
+      SHEET_PROMO,
+      SHEET_EVENT,
+      SHEET_USERS,
+      SHEET_INVOICE,
+    ];
+  }
+
+  /**
+   * Whether a sheet is a system sheet (or a temporary invoice sheet)
+   * @param {string} sheetName - Sheet name
+   * @returns {boolean}
+   */
+  static isSystemSheet(sheetName) {
+    return (
+      Config.getSystemSheets().includes(sheetName) ||
+      sheetName.startsWith(SHEET_TEMP_INVOICE + "_")
+    );
+  }
+
+  /**
+   * Reads and validates one setting
+   * @private
+   */
+  static _check(key) {
+    const setting = CONFIG_SCHEMA[key];
+    if (!setting) {
+      throw new Error("Unknown config key: " + key);
+    }
+
+    let raw = Config._read(key, setting);
+    let status = "ok";
+
+    if (raw === "" || raw === null || raw === undefined) {
+      if (setting.default !== undefined) {
+        raw = setting.default;
+        status = "default";
+      } else if (setting.required) {
+        return {
+          status: "missing",
+          message: "belum diisi di sheet CONFIG",
+        };
+      } else {
+        return { status: "ok", message: "tidak diisi (opsional)", value: "" };
+      }
+    }
+
+    const converted = Config._convert(raw, setting);
+    if (converted.error) {
+      return { status: "invalid", message: converted.error };
+    }
+
+    return {
+      status: status,
+      message: status === "default" ? "memakai nilai default" : "OK",
+      value: converted.value,
+    };
+  }
+
+  /**
+   * Converts a raw cell value to the setting's type
+   * @private
+   */
+  static _convert(raw, setting) {
+    const text = String(raw).trim();
+
+    switch (setting.type) {
+      case "number":
+        return isNaN(Number(text))
+          ? { error: `"${text}" bukan angka` }
+          : { value: Number(text) };
+      case "boolean":
+        if (raw === true || raw === false) return { value: raw };
+        if (/^(true|ya|yes|1)$/i.test(text)) return { value: true };
+        if (/^(false|tidak|no|0)$/i.test(text)) return { value: false };
+        return { error: `"${text}" bukan true/false` };
+      case "url":
+        return /^https?:\/\/\S+$/.test(text)
+          ? { value: text }
+          : { error: `"${text}" bukan URL http(s)` };
+      case "enum":
+        return setting.values.includes(text.toLowerCase())
+          ? { value: text.toLowerCase() }
+          : { error: `harus salah satu dari: ${setting.values.join(", ")}` };
+      default:
+        return { value: text };
+    }
+  }
+
+  /**
+   * Reads a raw value from CONFIG by key, falling back to the legacy cell
+   * only when no row of the sheet is a known key (old fixed-cell layout)
+   * @private
+   */
+  static _read(key, setting) {
+    const values = Config._load();
+
+    if (Object.prototype.hasOwnProperty.call(values.byKey, key)) {
+      return values.byKey[key];
+    }
+
+    if (setting.legacyCell && values.sheet && !values.keyed) {
+      return values.sheet.getRange(setting.legacyCell).getValue();
+    }
+
+    return "";
+  }
+
+  /**
+   * Loads the CONFIG sheet once per execution (read-only)
+   * @private
+   */
+  static _load() {
+    if (CONFIG_CACHE) {
+      return CONFIG_CACHE;
+    }
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_CONFIG);
+    const byKey = {};
+
+    if (sheet && sheet.getLastRow() > 0) {
+      sheet
+        .getRange(1, 1, sheet.getLastRow(), 2)
+        .getValues()
+        .forEach(([key, value]) => {
+          const normalized = String(key)
+            .trim()
+            .toUpperCase()
+            .replace(/\s+/g, "_");
+          if (normalized) {
+            byKey[normalized] = value;
+          }
+        });
+    }
+
+    CONFIG_CACHE = {
+      sheet: sheet,
+      byKey: byKey,
+      keyed: Object.keys(byKey).some((key) => CONFIG_SCHEMA[key]),
+    };
+    return CONFIG_CACHE;
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function getConfigHealth(token) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return Config.healthCheck();
+}
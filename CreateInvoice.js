@@ -5,16 +5,15 @@
 class CreateInvoice {
   /**
    * Gets all available sheets for invoice creation
-   * Excludes system sheets: TEMPLATE, CONFIG, ORDER, LOG, INVOICE
+   * Excludes system sheets, see Config.getSystemSheets()
    * @returns {Array} Array of sheet names
    */
   static getAvailableSheets() {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheets = ss.getSheets();
-    const excludedSheets = ["TEMPLATE", "CONFIG", "ORDER", "LOG", "INVOICE"];
 
     return sheets
-      .filter((sheet) => !excludedSheets.includes(sheet.getName()))
+      .filter((sheet) => !Config.isSystemSheet(sheet.getName()))
       .map((sheet) => sheet.getName())
       .sort();
   }
@@ -57,7 +56,8 @@ class CreateInvoice {
    * Gets all items for a specific customer from a sheet
    * @param {string} sheetName - Name of the sheet
    * @param {string} customerName - Customer name
-   * @returns {Array} Array of item objects with: item, quantity, price
+   * @returns {Array} Array of item objects with: row, item, quantity, price, invoiceId
+   * invoiceId is empty for items that have not been invoiced yet
    */
   static getCustomerItems(sheetName, customerName) {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -72,13 +72,15 @@ class CreateInvoice {
       return [];
     }
 
-    // Get all data (columns: Name, Item, Quantity, Price)
-    const data = sheet.getRange(2, 1, lastRow - 1, 4).getValues();
+    // Get all data (columns: Name, Item, Quantity, Price, Invoice ID)
+    const data = sheet
+      .getRange(2, 1, lastRow - 1, EVENT_INVOICE_COLUMN)
+      .getValues();
     const items = [];
     let isCustomerSection = false;
 
     for (let i = 0; i < data.length; i++) {
-      const [name, item, quantity, price] = data[i];
+      const [name, item, quantity, price, invoiceId] = data[i];
 
       // Check if this row starts a new customer section
       if (name && name.toString().trim() !== "") {
@@ -89,9 +91,11 @@ class CreateInvoice {
       // If we're in the correct customer section and row has item data
       if (isCustomerSection && item && item.toString().trim() !== "") {
         items.push({
+          row: i + 2, // +2 because array is 0-indexed and we start from row 2
           item: item.toString().trim(),
           quantity: Number(quantity) || 0,
           price: Number(price) || 0,
+          invoiceId: invoiceId ? invoiceId.toString().trim() : "",
         });
       }
 
@@ -109,6 +113,46 @@ class CreateInvoice {
     return items;
   }
 
+  /**
+   * Clears the Invoice ID of event sheet rows billed by an invoice,
+   * so the items can be invoiced again (e.g. after the invoice is cancelled).
+   * Call inside Concurrency.withLock() together with the status change: the
+   * whole column is written back, rows must not move in between
+   * @param {string} sheetName - Name of the event sheet
+   * @param {string} invoiceId - Invoice ID
+   * @returns {number} Number of rows released
+   */
+  static releaseInvoicedRows(sheetName, invoiceId) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(sheetName);
+
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return 0;
+    }
+
+    const range = sheet.getRange(
+      2,
+      EVENT_INVOICE_COLUMN,
+      sheet.getLastRow() - 1,
+      1
+    );
+    const values = range.getValues();
+    let released = 0;
+
+    values.forEach((v) => {
+      if (String(v[0]).trim() === invoiceId) {
+        v[0] = "";
+        released++;
+      }
+    });
+
+    if (released > 0) {
+      range.setValues(values);
+    }
+
+    return released;
+  }
+
   /**
    * Generate invoice document & PDF from selected items
    * @param {Object} data - Invoice data
@@ -116,11 +160,29 @@ class CreateInvoice {
    *   sheetName: string,
    *   customerName: string,
    *   phoneNumber: string,   *   discount: number (optional),
-   *   shipping: number (optional),   *   selectedItems: [{item, quantity, price}, ...]
+   *   shipping: number (optional),   *   promoCode: string (optional),
+   *   taxRate: number (optional, PPN in percent; default from the EVENT sheet),
+   *   downPayment: { type: "percent"|"fixed", value: number } (optional, bill a DP only),
+   *   paymentMethod: "doku"|"transfer" (optional, default doku; transfer adds a unique code, no DP),
+   *   requestId: string (optional, idempotency key: a repeat returns the first invoice),
+   *   selectedItems: [{row, item, quantity, price}, ...]
    * }
    * @returns {string} PDF/PNG URL
    */
   static generateInvoiceFromSheet(data) {
+    return Concurrency.once(data.requestId, () =>
+      CreateInvoice.createInvoice(data)
+    ).fileUrl;
+  }
+
+  /**
+   * Same as generateInvoiceFromSheet() but returns the full result
+   * @param {Object} data - Invoice data, see generateInvoiceFromSheet()
+   * @returns {Object} { invoiceId, fileUrl, paymentUrl, total, amountDue, paymentMethod }
+   */
+  static createInvoice(data) {
+    let invoiceId = null;
+
     try {
       Logger.log(
         "generateInvoiceFromSheet called with data:",
@@ -139,249 +201,979 @@ class CreateInvoice {
         throw new Error("No items selected for invoice");
       }
 
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const orderSheet = ss.getSheetByName(SHEET_ORDER);
+      // PPN rate from the form, or else the event default
+      const taxRate =
+        data.taxRate === undefined ||
+        data.taxRate === null ||
+        data.taxRate === ""
+          ? EventSettings.get(data.sheetName).taxRate
+          : EventSettings.parseRate(data.taxRate);
+
+      const downPaymentOption = CreateInvoice._parseDownPayment(
+        data.downPayment
+      );
+
+      const paymentMethod = data.paymentMethod || PAYMENT_METHOD.DOKU;
+      if (!Object.values(PAYMENT_METHOD).includes(paymentMethod)) {
+        throw new Error(`Metode pembayaran ${paymentMethod} tidak dikenal`);
+      }
+      // A DP would need a second transfer code for the settlement
+      if (paymentMethod === PAYMENT_METHOD.TRANSFER && downPaymentOption) {
+        throw new Error("Transfer bank tidak bisa dipakai untuk DP");
+      }
+      if (
+        paymentMethod === PAYMENT_METHOD.TRANSFER &&
+        !BankTransfer.bankDetails(data.sheetName)
+      ) {
+        throw new Error(
+          "Rekening transfer belum diisi (Bank Details di EVENT atau BANK_DETAILS di CONFIG)"
+        );
+      }
 
-      // Generate Invoice ID
-      const invoiceId = CreateInvoice._createInvoiceId();
       const currentDate = new Date();
 
-      // Save to ORDER sheet - one row per item with same Invoice ID
-      data.selectedItems.forEach((item, index) => {
-        const subtotal = item.quantity * item.price;
-        const newRowIndex = orderSheet.getLastRow() + 1;
+      // Checking the rows, the invoice counter, promo usage and writing ORDER
+      // must not interleave with another invoice or order edit
+      const saved = Concurrency.withLock(() => {
+        // Use the current sheet values, refuse rows that were already invoiced
+        data.selectedItems = CreateInvoice._checkOpenItems(
+          data.sheetName,
+          data.customerName,
+          data.selectedItems
+        );
 
-        orderSheet.appendRow([
-          currentDate, // A: Date
-          invoiceId, // B: Invoice ID
-          data.customerName, // C: Name
-          data.phoneNumber, // D: Phone
-          item.item, // E: Item
-          item.quantity, // F: Qty
-          item.price, // G: Unit Price
-          subtotal, // H: SubTotal
-        ]);
+        const subtotal = data.selectedItems.reduce(
+          (sum, item) => sum + item.quantity * item.price,
+          0
+        );
 
-        // Format phone number column as text to preserve leading zero
-        const phoneCell = orderSheet.getRange(newRowIndex, 4); // Column D
-        phoneCell.setNumberFormat("@");
-        phoneCell.setValue(data.phoneNumber);
+        // Check the promo code before anything is written
+        const promo = data.promoCode
+          ? PromoCode.apply(
+              data.promoCode,
+              subtotal,
+              Number(data.shipping) || 0
+            )
+          : null;
+
+        // The Diskon row holds the manual discount and the promo discount
+        // together. Discounts on the items never exceed the subtotal, the
+        // manual one is cut to fit; a free shipping promo only covers shipping
+        const promoDiscount = promo ? promo.discount : 0;
+        const itemPromoDiscount =
+          promo && promo.type !== PROMO_TYPE.FREE_SHIPPING ? promoDiscount : 0;
+        const manualDiscount = Math.min(
+          Math.max(Number(data.discount) || 0, 0),
+          Math.max(subtotal - itemPromoDiscount, 0)
+        );
+        const discount = manualDiscount + promoDiscount;
+        const shipping = Number(data.shipping) || 0;
+
+        // PPN over the items after discount, shipping is not taxed
+        const tax = Math.round(
+          (Math.max(subtotal - discount, 0) * taxRate) / 100
+        );
+
+        // A transfer is recognised on the bank statement by its unique code
+        const baseTotal = subtotal - discount + shipping + tax;
+        if (baseTotal <= 0) {
+          throw new Error("Total invoice setelah diskon harus lebih dari 0");
+        }
+        const uniqueCode =
+          paymentMethod === PAYMENT_METHOD.TRANSFER
+            ? BankTransfer.pickUniqueCode(baseTotal)
+            : 0;
+
+        // Calculate final total
+        const finalTotal = baseTotal + uniqueCode;
+
+        // A DP invoice bills part of the total now, the rest goes on a settlement invoice
+        const downPayment = downPaymentOption
+          ? CreateInvoice._downPaymentAmount(finalTotal, downPaymentOption)
+          : 0;
+
+        const amounts = {
+          subtotal: subtotal,
+          manualDiscount: manualDiscount,
+          promoDiscount: promoDiscount,
+          discount: discount,
+          shipping: shipping,
+          tax: tax,
+          uniqueCode: uniqueCode,
+          paymentMethod: paymentMethod,
+          finalTotal: finalTotal,
+          downPayment: downPayment,
+          amountDue: downPayment || finalTotal,
+        };
+
+        invoiceId = CreateInvoice._createInvoiceId();
+        CreateInvoice._saveOrderRows(
+          invoiceId,
+          currentDate,
+          data,
+          promo,
+          amounts
+        );
+
+        // Link the billed event sheet rows to this invoice
+        CreateInvoice._linkInvoicedRows(
+          data.sheetName,
+          data.selectedItems,
+          invoiceId
+        );
+
+        return { promo: promo, amounts: amounts };
       });
 
+      const promo = saved.promo;
+      const {
+        subtotal,
+        manualDiscount,
+        promoDiscount,
+        discount,
+        shipping,
+        tax,
+        uniqueCode,
+        finalTotal,
+        downPayment,
+        amountDue,
+      } = saved.amounts;
+
       // Generate invoice document
-      const template = ss.getSheetByName(SHEET_INVOICE);
-      const tempSheet = template
-        .copyTo(ss)
-        .setName(SHEET_TEMP_INVOICE + "_" + new Date().getTime());
-
-      // Fill invoice template
-      tempSheet.getRange("G7").setValue(currentDate); // Date
-      tempSheet.getRange("G9").setValue(invoiceId); // Invoice ID
-      tempSheet.getRange("B14").setValue(data.customerName); // Customer name
-
-      // Clear previous data
-      tempSheet.getRange("B18:G28").clearContent();
-
-      // Fill items starting from row 18
-      let startRow = 18;
-      let subtotal = 0;
-
-      data.selectedItems.forEach((item, i) => {
-        let row = startRow + i;
-        let itemSubtotal = item.quantity * item.price;
-        subtotal += itemSubtotal;
-
-        tempSheet.getRange(row, 2).setValue(item.item); // Column B: Item
-        tempSheet.getRange(row, 5).setValue(item.quantity); // Column E: Qty
-        tempSheet.getRange(row, 6).setValue(item.price); // Column F: Price
-        tempSheet.getRange(row, 7).setValue(itemSubtotal); // Column G: Subtotal
+      const blob = InvoiceRenderer.render({
+        invoiceId: invoiceId,
+        date: currentDate,
+        sheetName: data.sheetName,
+        customerName: data.customerName,
+        items: data.selectedItems.map((item) => ({
+          item: item.item,
+          quantity: item.quantity,
+          price: item.price,
+        })),
+        subtotal: subtotal,
+        discount: discount,
+        shipping: shipping,
+        taxRate: taxRate,
+        tax: tax,
+        uniqueCode: uniqueCode,
+        total: finalTotal,
+        paymentMethod: paymentMethod,
+        downPayment:
+          downPayment > 0
+            ? {
+                label:
+                  downPaymentOption.type === "percent"
+                    ? `DP ${downPaymentOption.value}%`
+                    : "DP",
+                amount: downPayment,
+                rest: finalTotal - downPayment,
+              }
+            : null,
       });
 
-      // Get discount and shipping values (optional)
-      const discount = Number(data.discount) || 0;
-      const shipping = Number(data.shipping) || 0;
+      const {
+        fileUrl: finalFileUrl,
+        mimeType: finalMimeType,
+        fileName: finalFileName,
+      } = CreateInvoice._saveDocument(invoiceId, data.customerName, blob);
 
-      // Calculate final total
-      const finalTotal = subtotal - discount + shipping;
+      // Generate DOKU payment URL
+      let paymentUrl = "";
+      let dokuPayment = null;
+
+      // add shipping and discount to items array
+      if (manualDiscount > 0) {
+        data.selectedItems.push({
+          item: ORDER_DISCOUNT_ITEM,
+          quantity: 1,
+          price: -manualDiscount,
+        });
+      }
+      if (promoDiscount > 0) {
+        data.selectedItems.push({
+          item: "Promo " + promo.code,
+          quantity: 1,
+          price: -promoDiscount,
+        });
+      }
+      if (shipping > 0) {
+        data.selectedItems.push({
+          item: ORDER_SHIPPING_ITEM,
+          quantity: 1,
+          price: shipping,
+        });
+      }
+      // Line items must add up to the DOKU amount, so PPN is a line of its own
+      if (tax > 0) {
+        data.selectedItems.push({
+          item: ORDER_TAX_ITEM,
+          quantity: 1,
+          price: tax,
+        });
+      }
+      if (uniqueCode > 0) {
+        data.selectedItems.push({
+          item: ORDER_UNIQUE_CODE_ITEM,
+          quantity: 1,
+          price: uniqueCode,
+        });
+      }
 
-      // Add Subtotal label and value
-      tempSheet.getRange(30, 7).setValue(subtotal);
+      // A transfer invoice has no link, it is paid to the bank details on the document
+      if (paymentMethod === PAYMENT_METHOD.DOKU) {
+        try {
+          const doku = DokuPayment.fromConfig();
 
-      // Add Discount if exists
-      if (discount > 0) {
-        orderSheet.appendRow([
-          currentDate, // A: Date
-          invoiceId, // B: Invoice ID
-          data.customerName, // C: Name
-          data.phoneNumber, // D: Phone
-          "Diskon", // E: Item
-          1, // F: Qty
-          discount, // G: Unit Price
-          -discount, // H: SubTotal
-        ]);
-        tempSheet.getRange(31, 7).setValue(-discount);
+          const normalizedPhone = CustomerDirectory.normalizePhoneNumber(
+            data.phoneNumber
+          );
+          // The DP link only bills the DP, as a single line
+          const paymentItems =
+            downPayment > 0
+              ? [{ name: "DP " + invoiceId, quantity: 1, price: downPayment }]
+              : data.selectedItems.map((item) => ({
+                  name: item.item,
+                  quantity: item.quantity,
+                  price: item.price,
+                }));
+          const dokuResult = doku.generatePaymentUrl({
+            invoiceNumber: invoiceId,
+            amount: amountDue,
+            customerName: data.customerName,
+            customerPhone: normalizedPhone,
+            items: paymentItems,
+            paymentDueDate: 60,
+          });
+
+          if (dokuResult.success) {
+            paymentUrl = dokuResult.paymentUrl;
+            dokuPayment = dokuResult;
+            Logger.log("DOKU Payment URL generated: " + paymentUrl);
+          }
+        } catch (dokuError) {
+          Logger.log("DOKU payment URL generation error: " + dokuError);
+        }
       }
 
-      // Add Shipping if exists
-      if (shipping > 0) {
+      // Invoice is ready to be paid, store its payment details
+      OrderSheet.updateInvoice(invoiceId, {
+        STATUS: INVOICE_STATUS.UNPAID,
+        PAYMENT_URL: paymentUrl,
+        TOKEN_ID: dokuPayment ? dokuPayment.tokenId : "",
+        SESSION_ID: dokuPayment ? dokuPayment.sessionId : "",
+        EXPIRED_DATE: dokuPayment
+          ? CreateInvoice._parseDokuDate(dokuPayment.expiredDate)
+          : "",
+        FILE_URL: finalFileUrl,
+      });
+
+      // Send webhook notification
+      try {
+        const webhookResult = CreateInvoice._sendWebhookNotification(
+          finalFileUrl,
+          data.customerName,
+          data.phoneNumber,
+          amountDue,
+          invoiceId,
+          finalMimeType,
+          finalFileName,
+          data.selectedItems,
+          paymentUrl,
+          {
+            type: downPayment > 0 ? PAYMENT_TYPE.DP : PAYMENT_TYPE.FULL,
+            orderTotal: finalTotal,
+            method: paymentMethod,
+            bankDetails:
+              paymentMethod === PAYMENT_METHOD.TRANSFER
+                ? BankTransfer.bankDetails(data.sheetName)
+                : "",
+          }
+        );
+        if (!webhookResult.success) {
+          Logger.log("Webhook queued for retry: " + webhookResult.message);
+        }
+      } catch (webhookError) {
+        Logger.log("Webhook failed but invoice was created:", webhookError);
+      }
+
+      // Remember the customer's phone number for the next invoice
+      try {
+        CustomerDirectory.upsert(data.customerName, data.phoneNumber);
+      } catch (customerError) {
+        Logger.log("Customer directory update failed: " + customerError);
+      }
+
+      AuditLog.write("invoice.create", {
+        invoiceId: invoiceId,
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: {
+          sheetName: data.sheetName,
+          customerName: data.customerName,
+          total: finalTotal,
+          promoCode: promo ? promo.code : "",
+          taxRate: taxRate,
+          tax: tax,
+          downPayment: downPayment,
+          paymentMethod: paymentMethod,
+          uniqueCode: uniqueCode,
+          items: data.selectedItems.length,
+          fileUrl: finalFileUrl,
+          paymentUrl: paymentUrl,
+        },
+      });
+
+      return {
+        invoiceId: invoiceId,
+        fileUrl: finalFileUrl,
+        paymentUrl: paymentUrl,
+        total: finalTotal,
+        amountDue: amountDue,
+        paymentMethod: paymentMethod,
+      };
+    } catch (error) {
+      AuditLog.write("invoice.create", {
+        invoiceId: invoiceId || "",
+        outcome: LOG_OUTCOME.FAILURE,
+        details: {
+          sheetName: data.sheetName,
+          customerName: data.customerName,
+          error: error.message,
+        },
+      });
+
+      // Don't leave the items locked by an invoice that was never sent
+      if (invoiceId) {
+        Concurrency.withLock(() => {
+          const rows = OrderSheet.findInvoiceRows(invoiceId);
+          if (
+            rows.length > 0 &&
+            rows[0].values[ORDER_COLUMNS.STATUS - 1] === INVOICE_STATUS.DRAFT
+          ) {
+            OrderSheet.updateInvoice(invoiceId, {
+              STATUS: INVOICE_STATUS.CANCELLED,
+            });
+            CreateInvoice.releaseInvoicedRows(data.sheetName, invoiceId);
+          }
+        });
+      }
+
+      throw new Error("Gagal membuat invoice: " + error.message);
+    }
+  }
+
+  /**
+   * Creates the settlement invoice for the remaining balance of a DP invoice
+   * It has its own DOKU link and reuses the document of the DP invoice; when
+   * that file is gone the webhook goes out without it and the LOG says so
+   * @param {string} orderId - Invoice ID of the DP invoice
+   * @returns {Object} { invoiceId, paymentUrl, amountDue }
+   */
+  static createSettlementInvoice(orderId) {
+    let invoiceId = null;
+
+    try {
+      const { order, outstanding } = Concurrency.withLock(() => {
+        const invoices = OrderSheet.getInvoices();
+        const order = invoices.find((invoice) => invoice.invoiceId === orderId);
+
+        if (!order || order.paymentType !== PAYMENT_TYPE.DP) {
+          throw new Error(`${orderId} bukan invoice DP`);
+        }
+
+        if (order.status !== INVOICE_STATUS.PARTIAL) {
+          throw new Error(
+            order.status === INVOICE_STATUS.PAID
+              ? `${orderId} sudah lunas`
+              : `DP ${orderId} belum dibayar`
+          );
+        }
+
+        const pending = invoices.find(
+          (invoice) =>
+            invoice.orderId === orderId &&
+            invoice.paymentType === PAYMENT_TYPE.SETTLEMENT &&
+            (invoice.status === INVOICE_STATUS.DRAFT ||
+              invoice.status === INVOICE_STATUS.UNPAID)
+        );
+        if (pending) {
+          throw new Error(
+            `Invoice pelunasan ${pending.invoiceId} masih menunggu pembayaran`
+          );
+        }
+
+        const outstanding = OrderSheet.getBalance(
+          orderId,
+          invoices
+        ).outstanding;
+        if (outstanding <= 0) {
+          throw new Error(`${orderId} tidak punya sisa tagihan`);
+        }
+
+        // Draft row is written under the same lock, so a second click sees it above
+        const orderSheet = OrderSheet.getSheet();
+        invoiceId = CreateInvoice._createInvoiceId();
+        const newRowIndex = orderSheet.getLastRow() + 1;
+
         orderSheet.appendRow([
-          currentDate, // A: Date
+          new Date(), // A: Date
           invoiceId, // B: Invoice ID
-          data.customerName, // C: Name
-          data.phoneNumber, // D: Phone
-          "Ongkir", // E: Item
+          order.customerName, // C: Name
+          order.phoneNumber, // D: Phone
+          ORDER_SETTLEMENT_ITEM, // E: Item
           1, // F: Qty
-          shipping, // G: Unit Price
-          shipping, // H: SubTotal
+          outstanding, // G: Unit Price
+          outstanding, // H: SubTotal
+          INVOICE_STATUS.DRAFT, // I: Status
+          "", // J: Paid At
+          order.event, // K: Event
         ]);
-        tempSheet.getRange(29, 7).setValue(shipping);
-      }
 
-      // Add Total
-      tempSheet.getRange(32, 7).setValue(finalTotal);
-
-      SpreadsheetApp.flush();
+        // Format phone number column as text to preserve leading zero
+        const phoneCell = orderSheet.getRange(newRowIndex, ORDER_COLUMNS.PHONE);
+        phoneCell.setNumberFormat("@");
+        phoneCell.setValue(order.phoneNumber);
 
-      // Export as PNG or PDF
-      const folderId = OUTPUT_FOLDER_ID;
-      const folder = DriveApp.getFolderById(folderId);
-      const spreadsheet = tempSheet.getParent();
-      const sheetId = tempSheet.getSheetId();
+        OrderSheet.updateInvoice(invoiceId, {
+          PAYMENT_TYPE: PAYMENT_TYPE.SETTLEMENT,
+          ORDER_ID: orderId,
+          AMOUNT_DUE: outstanding,
+          FILE_URL: order.fileUrl,
+        });
 
-      // Try PNG export first
-      const pngUrl = `https://docs.google.com/spreadsheets/d/${spreadsheet.getId()}/export?format=png&gid=${sheetId}&scale=2&fzr=false&fzc=false`;
+        return { order: order, outstanding: outstanding };
+      });
 
-      const pngResponse = UrlFetchApp.fetch(pngUrl, {
-        headers: {
-          Authorization: "Bearer " + ScriptApp.getOAuthToken(),
+      const items = [
+        {
+          item: `${ORDER_SETTLEMENT_ITEM} ${orderId}`,
+          quantity: 1,
+          price: outstanding,
         },
-        muteHttpExceptions: true,
+      ];
+
+      // Without a payment link there is nothing to send, so DOKU errors are not swallowed here
+      const dokuResult = DokuPayment.fromConfig().generatePaymentUrl({
+        invoiceNumber: invoiceId,
+        amount: outstanding,
+        customerName: order.customerName,
+        customerPhone: CustomerDirectory.normalizePhoneNumber(
+          order.phoneNumber
+        ),
+        items: items.map((item) => ({
+          name: item.item,
+          quantity: item.quantity,
+          price: item.price,
+        })),
+        paymentDueDate: 60,
       });
 
-      let finalFileUrl, finalMimeType, finalFileName;
-
-      if (pngResponse.getResponseCode() === 200) {
-        // PNG export successful
-        const pngBlob = pngResponse.getBlob();
-        const pngFileName = `${invoiceId}_${data.customerName.replace(
-          /[^a-zA-Z0-9]/g,
-          "_"
-        )}.png`;
-        pngBlob.setName(pngFileName);
-
-        const pngFile = folder.createFile(pngBlob);
-        finalFileUrl = pngFile.getUrl();
-        finalMimeType = pngBlob.getContentType();
-        finalFileName = pngFileName;
-      } else {
-        // Fallback to PDF
-        const pdfUrl = `https://docs.google.com/spreadsheets/d/${spreadsheet.getId()}/export?format=pdf&gid=${sheetId}&portrait=true&fitw=true&sheetnames=false&printtitle=false&pagenumbers=false&gridlines=false&fzr=false`;
+      if (!dokuResult.success) {
+        throw new Error("Gagal membuat link pembayaran: " + dokuResult.error);
+      }
+
+      OrderSheet.updateInvoice(invoiceId, {
+        STATUS: INVOICE_STATUS.UNPAID,
+        PAYMENT_URL: dokuResult.paymentUrl,
+        TOKEN_ID: dokuResult.tokenId,
+        SESSION_ID: dokuResult.sessionId,
+        EXPIRED_DATE: CreateInvoice._parseDokuDate(dokuResult.expiredDate),
+      });
 
-        const pdfResponse = UrlFetchApp.fetch(pdfUrl, {
-          headers: {
-            Authorization: "Bearer " + ScriptApp.getOAuthToken(),
+      // Same document as the DP invoice; without it the link is still sent
+      const document = CreateInvoice._findDocument(order.fileUrl);
+      if (!document) {
+        AuditLog.write("webhook.send", {
+          invoiceId: invoiceId,
+          outcome: LOG_OUTCOME.FAILURE,
+          details: {
+            orderId: orderId,
+            error: `Dokumen invoice ${orderId} tidak ditemukan, dikirim tanpa dokumen`,
           },
-          muteHttpExceptions: true,
         });
+      }
 
-        if (pdfResponse.getResponseCode() !== 200) {
-          throw new Error("Failed to export invoice document");
+      try {
+        const webhookResult = CreateInvoice._sendWebhookNotification(
+          document ? document.fileUrl : "",
+          order.customerName,
+          order.phoneNumber,
+          outstanding,
+          invoiceId,
+          document ? document.mimeType : "",
+          document ? document.fileName : "",
+          items,
+          dokuResult.paymentUrl,
+          { type: PAYMENT_TYPE.SETTLEMENT, orderTotal: order.total }
+        );
+        if (!webhookResult.success) {
+          Logger.log("Webhook queued for retry: " + webhookResult.message);
         }
-
-        const pdfBlob = pdfResponse.getBlob();
-        const pdfFileName = `${invoiceId}_${data.customerName.replace(
-          /[^a-zA-Z0-9]/g,
-          "_"
-        )}.pdf`;
-        pdfBlob.setName(pdfFileName);
-
-        const pdfFile = folder.createFile(pdfBlob);
-        finalFileUrl = pdfFile.getUrl();
-        finalMimeType = pdfBlob.getContentType();
-        finalFileName = pdfFileName;
+      } catch (webhookError) {
+        Logger.log("Webhook failed but invoice was created:", webhookError);
       }
 
-      Utilities.sleep(2000);
+      AuditLog.write("invoice.settlement", {
+        invoiceId: invoiceId,
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: {
+          orderId: orderId,
+          amountDue: outstanding,
+          paymentUrl: dokuResult.paymentUrl,
+        },
+      });
 
-      // Generate DOKU payment URL
-      let paymentUrl = "";
+      return {
+        invoiceId: invoiceId,
+        paymentUrl: dokuResult.paymentUrl,
+        amountDue: outstanding,
+      };
+    } catch (error) {
+      AuditLog.write("invoice.settlement", {
+        invoiceId: invoiceId || "",
+        outcome: LOG_OUTCOME.FAILURE,
+        details: { orderId: orderId, error: error.message },
+      });
 
-      // add shipping and discount to items array
-      if (discount > 0) {
-        data.selectedItems.push({
-          item: "Diskon",
-          quantity: 1,
-          price: -discount,
+      if (invoiceId) {
+        OrderSheet.updateInvoice(invoiceId, {
+          STATUS: INVOICE_STATUS.CANCELLED,
         });
       }
-      if (shipping > 0) {
-        data.selectedItems.push({
-          item: "Ongkir",
-          quantity: 1,
-          price: shipping,
-        });
+
+      throw new Error("Gagal membuat invoice pelunasan: " + error.message);
+    }
+  }
+
+  /**
+   * Sends an existing invoice again under the same invoice number: a fresh
+   * DOKU link, the document (rebuilt from ORDER when its file is gone or
+   * when asked) and the webhook. Used when the customer lost the message or
+   * the 60-minute link expired. A transfer invoice has no link, only the
+   * document and the webhook are sent again. Refused when the invoice's
+   * promo code has been used up by other invoices in the meantime
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} [options]
+   * @param {boolean} [options.regenerate=false] - Render the document again even if its file exists
+   * @returns {Object} { invoiceId, fileUrl, paymentUrl, amountDue }
+   */
+  static reissueInvoice(invoiceId, options = {}) {
+    try {
+      const invoice = OrderSheet.getInvoiceDetail(invoiceId);
+
+      if (
+        invoice.status !== INVOICE_STATUS.UNPAID &&
+        invoice.status !== INVOICE_STATUS.EXPIRED
+      ) {
+        throw new Error(
+          `Invoice berstatus ${invoice.status}, hanya invoice unpaid atau expired yang bisa dikirim ulang`
+        );
       }
 
-      try {
-        const doku = new DokuPayment(
-          CONFIG_DOKU_CLIENT_ID,
-          CONFIG_DOKU_SECRET_KEY,
-          CONFIG_DOKU_ENVIRONMENT
+      // An expired invoice stopped counting towards its promo's usage limit,
+      // the voucher may have gone to another invoice since
+      const checkPromo = () => {
+        if (invoice.promoCode) {
+          PromoCode.checkUsage(invoice.promoCode, invoiceId);
+        }
+      };
+      checkPromo();
+
+      const transfer = invoice.paymentMethod === PAYMENT_METHOD.TRANSFER;
+      const doku = transfer ? null : DokuPayment.fromConfig();
+
+      // A payment whose notification got lost must not be billed again
+      const status = transfer ? null : doku.getPaymentStatus(invoiceId);
+      if (status && status.success && status.status === "SUCCESS") {
+        const confirmed = OrderSheet.confirmPayment(
+          invoiceId,
+          status.amount,
+          status.transactionDate
+        );
+        throw new Error(
+          "Invoice sudah dibayar di DOKU, tidak dikirim ulang. " +
+            confirmed.message
         );
+      }
 
-        const normalizedPhone = CreateInvoice._normalizePhoneNumber(
-          data.phoneNumber
+      // A settlement invoice has no document of its own, it uses the DP invoice's
+      const documentInvoice =
+        invoice.paymentType === PAYMENT_TYPE.SETTLEMENT
+          ? OrderSheet.getInvoiceDetail(invoice.orderId)
+          : invoice;
+      let document = options.regenerate
+        ? null
+        : CreateInvoice._findDocument(documentInvoice.fileUrl);
+
+      if (!document) {
+        document = CreateInvoice._saveDocument(
+          documentInvoice.invoiceId,
+          documentInvoice.customerName,
+          InvoiceRenderer.render({
+            invoiceId: documentInvoice.invoiceId,
+            date: new Date(documentInvoice.date),
+            sheetName: documentInvoice.event,
+            customerName: documentInvoice.customerName,
+            items: documentInvoice.items,
+            subtotal: documentInvoice.subtotal,
+            discount: documentInvoice.discount,
+            shipping: documentInvoice.shipping,
+            taxRate: documentInvoice.taxRate,
+            tax: documentInvoice.tax,
+            uniqueCode: documentInvoice.uniqueCode,
+            total: documentInvoice.total,
+            paymentMethod: documentInvoice.paymentMethod,
+            downPayment:
+              documentInvoice.paymentType === PAYMENT_TYPE.DP
+                ? {
+                    label: "DP",
+                    amount: documentInvoice.amountDue,
+                    rest: documentInvoice.total - documentInvoice.amountDue,
+                  }
+                : null,
+          })
         );
+        OrderSheet.updateInvoice(documentInvoice.invoiceId, {
+          FILE_URL: document.fileUrl,
+        });
+        if (documentInvoice !== invoice) {
+          OrderSheet.updateInvoice(invoiceId, { FILE_URL: document.fileUrl });
+        }
+      }
+
+      let paymentUrl = "";
+      if (transfer) {
+        Concurrency.withLock(() => {
+          checkPromo();
+          OrderSheet.updateInvoice(invoiceId, {
+            STATUS: INVOICE_STATUS.UNPAID,
+          });
+        });
+      } else {
+        // Same line items as the first link: a DP link only bills the DP
         const dokuResult = doku.generatePaymentUrl({
           invoiceNumber: invoiceId,
-          amount: finalTotal,
-          customerName: data.customerName,
-          customerPhone: normalizedPhone,
-          items: data.selectedItems.map((item) => ({
-            name: item.item,
-            quantity: item.quantity,
-            price: item.price,
-          })),
+          amount: invoice.amountDue,
+          customerName: invoice.customerName,
+          customerPhone: CustomerDirectory.normalizePhoneNumber(
+            invoice.phoneNumber
+          ),
+          items:
+            invoice.paymentType === PAYMENT_TYPE.DP
+              ? [
+                  {
+                    name: "DP " + invoiceId,
+                    quantity: 1,
+                    price: invoice.amountDue,
+                  },
+                ]
+              : invoice.lines.map((line) => ({
+                  name: line.item,
+                  quantity: line.quantity,
+                  price: line.price,
+                })),
           paymentDueDate: 60,
         });
 
-        if (dokuResult.success) {
-          paymentUrl = dokuResult.paymentUrl;
-          Logger.log("DOKU Payment URL generated: " + paymentUrl);
+        if (!dokuResult.success) {
+          throw new Error("Gagal membuat link pembayaran: " + dokuResult.error);
         }
-      } catch (dokuError) {
-        Logger.log("DOKU payment URL generation error: " + dokuError);
+
+        paymentUrl = dokuResult.paymentUrl;
+        // Checked again under the lock, as createInvoice() counts promo usage there
+        Concurrency.withLock(() => {
+          checkPromo();
+          OrderSheet.updateInvoice(invoiceId, {
+            STATUS: INVOICE_STATUS.UNPAID,
+            PAYMENT_URL: dokuResult.paymentUrl,
+            TOKEN_ID: dokuResult.tokenId,
+            SESSION_ID: dokuResult.sessionId,
+            EXPIRED_DATE: CreateInvoice._parseDokuDate(dokuResult.expiredDate),
+          });
+        });
       }
 
-      // Send webhook notification
       try {
-        CreateInvoice._sendWebhookNotification(
-          finalFileUrl,
-          data.customerName,
-          data.phoneNumber,
-          finalTotal,
+        const webhookResult = CreateInvoice._sendWebhookNotification(
+          document.fileUrl,
+          invoice.customerName,
+          invoice.phoneNumber,
+          invoice.amountDue,
           invoiceId,
-          finalMimeType,
-          finalFileName,
-          data.selectedItems,
-          paymentUrl
+          document.mimeType,
+          document.fileName,
+          invoice.lines,
+          paymentUrl,
+          {
+            type: invoice.paymentType,
+            orderTotal: documentInvoice.total,
+            method: invoice.paymentMethod,
+            bankDetails: transfer
+              ? BankTransfer.bankDetails(invoice.event)
+              : "",
+          }
         );
+        if (!webhookResult.success) {
+          Logger.log("Webhook queued for retry: " + webhookResult.message);
+        }
       } catch (webhookError) {
-        Logger.log("Webhook failed but invoice was created:", webhookError);
+        Logger.log("Webhook failed but invoice was re-issued:", webhookError);
       }
 
-      // Clean up temporary sheet
-      ss.deleteSheet(tempSheet);
+      AuditLog.write("invoice.reissue", {
+        invoiceId: invoiceId,
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: {
+          previousStatus: invoice.status,
+          regenerated: document.fileUrl !== documentInvoice.fileUrl,
+          fileUrl: document.fileUrl,
+          paymentUrl: paymentUrl,
+        },
+      });
 
-      return finalFileUrl;
+      return {
+        invoiceId: invoiceId,
+        fileUrl: document.fileUrl,
+        paymentUrl: paymentUrl,
+        amountDue: invoice.amountDue,
+      };
     } catch (error) {
-      Logger.log("Error generating invoice:", error);
-      throw new Error("Gagal membuat invoice: " + error.message);
+      AuditLog.write("invoice.reissue", {
+        invoiceId: invoiceId,
+        outcome: LOG_OUTCOME.FAILURE,
+        details: { error: error.message },
+      });
+
+      throw new Error("Gagal mengirim ulang invoice: " + error.message);
+    }
+  }
+
+  /**
+   * Saves a rendered invoice document to the output folder
+   * @private
+   * @returns {Object} { fileUrl, mimeType, fileName }
+   */
+  static _saveDocument(invoiceId, customerName, blob) {
+    const mimeType = blob.getContentType();
+    const fileName = `${invoiceId}_${customerName.replace(
+      /[^a-zA-Z0-9]/g,
+      "_"
+    )}.${mimeType === MimeType.PNG ? "png" : "pdf"}`;
+    blob.setName(fileName);
+
+    const folder = DriveApp.getFolderById(Config.get("OUTPUT_FOLDER_ID"));
+    return {
+      fileUrl: folder.createFile(blob).getUrl(),
+      mimeType: mimeType,
+      fileName: fileName,
+    };
+  }
+
+  /**
+   * Existing invoice document, null when it was deleted or cannot be opened
+   * @private
+   * @returns {Object|null} { fileUrl, mimeType, fileName }
+   */
+  static _findDocument(fileUrl) {
+    const id = String(fileUrl || "").match(/\/d\/([^/]+)/);
+    if (!id) {
+      return null;
+    }
+
+    try {
+      const file = DriveApp.getFileById(id[1]);
+      return file.isTrashed()
+        ? null
+        : {
+            fileUrl: fileUrl,
+            mimeType: file.getMimeType(),
+            fileName: file.getName(),
+          };
+    } catch (error) {
+      Logger.log(`Invoice document ${fileUrl} cannot be opened: ${error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Reads the DP option of the invoice form
+   * @returns {Object|null} { type, value }, null when no DP is asked
+   * @private
+   */
+  static _parseDownPayment(downPayment) {
+    if (!downPayment || !downPayment.type) {
+      return null;
+    }
+
+    const value = Number(downPayment.value);
+    if (!["percent", "fixed"].includes(downPayment.type)) {
+      throw new Error(`Tipe DP ${downPayment.type} tidak dikenal`);
+    }
+    if (!(value > 0) || (downPayment.type === "percent" && value >= 100)) {
+      throw new Error(
+        downPayment.type === "percent"
+          ? "Persentase DP harus di atas 0 dan di bawah 100"
+          : "Nominal DP harus lebih dari 0"
+      );
+    }
+
+    return { type: downPayment.type, value: value };
+  }
+
+  /**
+   * DP amount in rupiah, must leave something to settle
+   * @private
+   */
+  static _downPaymentAmount(total, downPayment) {
+    const amount =
+      downPayment.type === "percent"
+        ? Math.round((total * downPayment.value) / 100)
+        : Math.round(downPayment.value);
+
+    if (amount <= 0 || amount >= total) {
+      throw new Error(
+        `DP ${CreateInvoice.formatCurrency(
+          amount
+        )} harus di bawah total ${CreateInvoice.formatCurrency(total)}`
+      );
+    }
+
+    return amount;
+  }
+
+  /**
+   * Saves the invoice to ORDER as draft: one row per item, then the
+   * discount, shipping, PPN and unique code rows
+   * @private
+   */
+  static _saveOrderRows(invoiceId, date, data, promo, amounts) {
+    const orderSheet = OrderSheet.getSheet();
+    const rows = data.selectedItems.map((item) => [
+      item.item,
+      item.quantity,
+      item.price,
+      item.quantity * item.price,
+    ]);
+
+    if (amounts.discount > 0) {
+      rows.push([ORDER_DISCOUNT_ITEM, 1, amounts.discount, -amounts.discount]);
+    }
+    if (amounts.shipping > 0) {
+      rows.push([ORDER_SHIPPING_ITEM, 1, amounts.shipping, amounts.shipping]);
+    }
+    if (amounts.tax > 0) {
+      rows.push([ORDER_TAX_ITEM, 1, amounts.tax, amounts.tax]);
+    }
+    if (amounts.uniqueCode > 0) {
+      rows.push([
+        ORDER_UNIQUE_CODE_ITEM,
+        1,
+        amounts.uniqueCode,
+        amounts.uniqueCode,
+      ]);
+    }
+
+    rows.forEach(([item, quantity, price, subtotal]) => {
+      const newRowIndex = orderSheet.getLastRow() + 1;
+
+      orderSheet.appendRow([
+        date, // A: Date
+        invoiceId, // B: Invoice ID
+        data.customerName, // C: Name
+        data.phoneNumber, // D: Phone
+        item, // E: Item
+        quantity, // F: Qty
+        price, // G: Unit Price
+        subtotal, // H: SubTotal
+        INVOICE_STATUS.DRAFT, // I: Status
+        "", // J: Paid At
+        data.sheetName, // K: Event
+      ]);
+
+      // Format phone number column as text to preserve leading zero
+      const phoneCell = orderSheet.getRange(newRowIndex, ORDER_COLUMNS.PHONE);
+      phoneCell.setNumberFormat("@");
+      phoneCell.setValue(data.phoneNumber);
+    });
+
+    // Record the promo on every row of the invoice
+    if (promo) {
+      OrderSheet.updateInvoice(invoiceId, { PROMO_CODE: promo.code });
+    }
+
+    if (amounts.downPayment > 0) {
+      OrderSheet.updateInvoice(invoiceId, {
+        PAYMENT_TYPE: PAYMENT_TYPE.DP,
+        ORDER_ID: invoiceId,
+        AMOUNT_DUE: amounts.downPayment,
+      });
+    }
+
+    if (amounts.paymentMethod === PAYMENT_METHOD.TRANSFER) {
+      OrderSheet.updateInvoice(invoiceId, {
+        PAYMENT_METHOD: PAYMENT_METHOD.TRANSFER,
+      });
     }
   }
 
+  /**
+   * Checks that the selected items still match the event sheet and are not invoiced yet
+   * @param {string} sheetName - Name of the event sheet
+   * @param {string} customerName - Customer name
+   * @param {Array} selectedItems - Items from the form, each with its sheet row
+   * @returns {Array} The selected items as currently stored in the sheet
+   * @private
+   */
+  static _checkOpenItems(sheetName, customerName, selectedItems) {
+    const currentItems = CreateInvoice.getCustomerItems(
+      sheetName,
+      customerName
+    );
+
+    return selectedItems.map((selected) => {
+      const current = currentItems.find((i) => i.row === Number(selected.row));
+
+      if (
+        !current ||
+        current.item !== selected.item ||
+        current.quantity !== Number(selected.quantity) ||
+        current.price !== Number(selected.price)
+      ) {
+        throw new Error(
+          `Item "${selected.item}" sudah berubah di sheet, muat ulang data customer`
+        );
+      }
+
+      if (current.invoiceId) {
+        throw new Error(
+          `Item "${current.item}" sudah ditagih di invoice ${current.invoiceId}`
+        );
+      }
+
+      return current;
+    });
+  }
+
+  /**
+   * Writes the Invoice ID next to every billed row of the event sheet
+   * @private
+   */
+  static _linkInvoicedRows(sheetName, items, invoiceId) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(sheetName);
+
+    const header = sheet.getRange(1, EVENT_INVOICE_COLUMN);
+    if (header.getValue() === "") {
+      header.setValue("Invoice ID");
+    }
+
+    items.forEach((item) => {
+      sheet.getRange(item.row, EVENT_INVOICE_COLUMN).setValue(invoiceId);
+    });
+  }
+
   /**
    * Generate simple InvoiceID, e.g. INV-20250116-0001
+   * Call inside Concurrency.withLock(), the counter is read and then written
    * @private
    */
   static _createInvoiceId() {
@@ -400,28 +1192,17 @@ class CreateInvoice {
   }
 
   /**
-   * Normalize Indonesian phone number to international format
+   * Parse DOKU date string (yyyyMMddHHmmss, WIB) to Date
    * @private
    */
-  static _normalizePhoneNumber(phoneNumber) {
-    if (!phoneNumber) return "";
-
-    let cleanNumber = phoneNumber.replace(/[^\d+]/g, "");
-    cleanNumber = cleanNumber.replace(/^\+/, "");
-
-    if (cleanNumber.startsWith("0")) {
-      cleanNumber = "62" + cleanNumber.substring(1);
-    }
-
-    if (!cleanNumber.startsWith("62")) {
-      cleanNumber = "62" + cleanNumber;
-    }
-
-    return cleanNumber;
+  static _parseDokuDate(value) {
+    if (!value) return "";
+    return Utilities.parseDate(String(value), "Asia/Jakarta", "yyyyMMddHHmmss");
   }
 
   /**
    * Send webhook notification after invoice is generated
+   * @returns {Object} Delivery result from WebhookOutbox.send()
    * @private
    */
   static _sendWebhookNotification(
@@ -433,15 +1214,16 @@ class CreateInvoice {
     mimeType,
     fileName,
     items,
-    paymentUrl
+    paymentUrl,
+    payment = {}
   ) {
-    const normalizedPhone = CreateInvoice._normalizePhoneNumber(phoneNumber);
+    const normalizedPhone = CustomerDirectory.normalizePhoneNumber(phoneNumber);
 
     let formattedItems = "";
     if (items && Array.isArray(items) && items.length > 0) {
       formattedItems = items
         .map((item) => {
-          const totalHarga = CreateInvoice._formatCurrency(
+          const totalHarga = CreateInvoice.formatCurrency(
             item.quantity * item.price
           );
           return `- ${item.item} x ${item.quantity}, ${totalHarga}`;
@@ -449,41 +1231,43 @@ class CreateInvoice {
         .join("\n");
     }
 
+    // Without STATUS_PAGE_SECRET the invoice is still sent, only without the link
+    let statusUrl = "";
+    try {
+      statusUrl = InvoiceStatusPage.getUrl(invoiceId);
+    } catch (error) {
+      Logger.log("Invoice status link not created: " + error);
+    }
+
     const payload = {
       file_url: imageFileUrl,
       customer_name: customerName,
       phone_number: normalizedPhone,
-      total_amount: CreateInvoice._formatCurrency(totalAmount),
+      total_amount: CreateInvoice.formatCurrency(totalAmount),
       invoice_id: invoiceId,
       mime_type: mimeType,
       file_name: fileName,
       items: formattedItems,
       payment_url: paymentUrl || "",
+      payment_type: payment.type || PAYMENT_TYPE.FULL,
+      order_total: CreateInvoice.formatCurrency(
+        payment.orderTotal || totalAmount
+      ),
+      status_url: statusUrl,
+      payment_method: payment.method || PAYMENT_METHOD.DOKU,
+      bank_details: payment.bankDetails || "",
     };
 
-    const options = {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      payload: JSON.stringify(payload),
-    };
-
-    const response = UrlFetchApp.fetch(WEBHOOK_URL, options);
-    const responseCode = response.getResponseCode();
-
-    if (responseCode < 200 || responseCode >= 300) {
-      throw new Error(`Webhook failed with status ${responseCode}`);
-    }
-
-    return true;
+    // Delivered through the outbox so failed sends are retried by a trigger
+    return WebhookOutbox.send(invoiceId, payload);
   }
 
   /**
    * Format number to currency (Rp)
-   * @private
+   * @param {number} number - Amount in rupiah
+   * @returns {string} e.g. "Rp 150.000"
    */
-  static _formatCurrency(number) {
+  static formatCurrency(number) {
     number = Number(number) || 0;
     const parts = number
       .toFixed(0)
@@ -496,18 +1280,63 @@ class CreateInvoice {
 /**
  * Global wrapper functions for google.script.run
  */
-function getAvailableSheets() {
+function getAvailableSheets(token) {
+  AccessControl.require(token);
   return CreateInvoice.getAvailableSheets();
 }
 
-function getCustomersFromSheet(sheetName) {
+function getCustomersFromSheet(token, sheetName) {
+  AccessControl.require(token);
   return CreateInvoice.getCustomersFromSheet(sheetName);
 }
 
-function getCustomerItems(sheetName, customerName) {
+function getCustomerItems(token, sheetName, customerName) {
+  AccessControl.require(token);
   return CreateInvoice.getCustomerItems(sheetName, customerName);
 }
 
-function generateInvoiceFromSheet(data) {
+function generateInvoiceFromSheet(token, data) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
   return CreateInvoice.generateInvoiceFromSheet(data);
 }
+
+function createSettlementInvoice(token, orderId) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  try {
+    const result = CreateInvoice.createSettlementInvoice(orderId);
+    return {
+      success: true,
+      message: `Invoice pelunasan ${
+        result.invoiceId
+      } dibuat: ${CreateInvoice.formatCurrency(result.amountDue)}`,
+      invoiceId: result.invoiceId,
+      paymentUrl: result.paymentUrl,
+    };
+  } catch (error) {
+    return { success: false, message: "Error: " + error.message };
+  }
+}
+
+function reissueInvoice(token, invoiceId, options) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  options = options || {};
+  try {
+    const result = Concurrency.once(options.requestId, () =>
+      CreateInvoice.reissueInvoice(invoiceId, options)
+    );
+    return {
+      success: true,
+      message: `${invoiceId} dikirim ulang dengan link bayar baru`,
+      invoiceId: result.invoiceId,
+      fileUrl: result.fileUrl,
+      paymentUrl: result.paymentUrl,
+    };
+  } catch (error) {
+    return { success: false, message: "Error: " + error.message };
+  }
+}
+
+function getInvoiceBalance(token, orderId) {
+  AccessControl.require(token);
+  return OrderSheet.getBalance(orderId);
+}
@@ -0,0 +1,173 @@
+/**
+ * Column layout of the CUSTOMER sheet (1-based)
+ * One row per customer, shared by all events
+ */
+const CUSTOMER_COLUMNS = {
+  NAME: 1, // A
+  PHONE: 2, // B - normalized, e.g. 628123456789
+  ADDRESS: 3, // C - diisi manual
+  NOTES: 4, // D - diisi manual
+  UPDATED_AT: 5, // E
+};
+
+const CUSTOMER_HEADERS = ["Name", "Phone", "Address", "Notes", "Updated At"];
+
+/**
+ * CustomerDirectory Class
+ * Customer names and phone numbers remembered across events.
+ * Kept up to date by CreateInvoice.createInvoice(); address and notes are
+ * filled in by hand and never overwritten.
+ */
+class CustomerDirectory {
+  /**
+   * Finds a customer by name (case-insensitive)
+   * @param {string} name - Customer name
+   * @returns {Object|null} { name, phone, address, notes } or null
+   */
+  static find(name) {
+    const key = CustomerDirectory._key(name);
+    const customer = CustomerDirectory._getEntries().find(
+      (c) => CustomerDirectory._key(c.name) === key
+    );
+
+    if (!customer) {
+      return null;
+    }
+
+    return {
+      name: customer.name,
+      phone: customer.phone,
+      address: customer.address,
+      notes: customer.notes,
+    };
+  }
+
+  /**
+   * Gets all customer names, sorted
+   * @returns {Array} Array of names
+   */
+  static getNames() {
+    return CustomerDirectory._getEntries()
+      .map((c) => c.name)
+      .filter((name) => name)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Adds a customer or updates their phone number
+   * The lookup and the write share the lock, so two invoices for a new
+   * customer do not both append a row
+   * @param {string} name - Customer name
+   * @param {string} phoneNumber - Phone number in any format
+   */
+  static upsert(name, phoneNumber) {
+    const trimmedName = String(name || "").trim();
+    if (!trimmedName) {
+      return;
+    }
+
+    const phone = CustomerDirectory.normalizePhoneNumber(phoneNumber);
+    const sheet = CustomerDirectory._getSheet();
+    const key = CustomerDirectory._key(trimmedName);
+
+    Concurrency.withLock(() => {
+      const existing = CustomerDirectory._getEntries().find(
+        (c) => CustomerDirectory._key(c.name) === key
+      );
+
+      if (!existing) {
+        sheet.appendRow([trimmedName, phone, "", "", new Date()]);
+        return;
+      }
+
+      if (phone && phone !== existing.phone) {
+        sheet.getRange(existing.row, CUSTOMER_COLUMNS.PHONE).setValue(phone);
+        sheet
+          .getRange(existing.row, CUSTOMER_COLUMNS.UPDATED_AT)
+          .setValue(new Date());
+      }
+    });
+  }
+
+  /**
+   * Normalize Indonesian phone number to international format
+   * @param {string} phoneNumber - e.g. 0812-3456-789 or +62 812 3456 789
+   * @returns {string} e.g. 628123456789, or "" when empty
+   */
+  static normalizePhoneNumber(phoneNumber) {
+    if (!phoneNumber) return "";
+
+    let cleanNumber = String(phoneNumber).replace(/[^\d+]/g, "");
+    cleanNumber = cleanNumber.replace(/^\+/, "");
+
+    if (cleanNumber.startsWith("0")) {
+      cleanNumber = "62" + cleanNumber.substring(1);
+    }
+
+    if (!cleanNumber.startsWith("62")) {
+      cleanNumber = "62" + cleanNumber;
+    }
+
+    return cleanNumber;
+  }
+
+  /**
+   * @private
+   */
+  static _key(name) {
+    return String(name).trim().toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  static _getEntries() {
+    const sheet = CustomerDirectory._getSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    return sheet
+      .getRange(2, 1, lastRow - 1, CUSTOMER_HEADERS.length)
+      .getValues()
+      .map((values, i) => ({
+        row: i + 2,
+        name: String(values[CUSTOMER_COLUMNS.NAME - 1]).trim(),
+        phone: String(values[CUSTOMER_COLUMNS.PHONE - 1]),
+        address: String(values[CUSTOMER_COLUMNS.ADDRESS - 1]),
+        notes: String(values[CUSTOMER_COLUMNS.NOTES - 1]),
+      }));
+  }
+
+  /**
+   * Gets the CUSTOMER sheet, creating it and its header if needed
+   * @private
+   */
+  static _getSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet =
+      ss.getSheetByName(SHEET_CUSTOMER) || ss.insertSheet(SHEET_CUSTOMER);
+
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(CUSTOMER_HEADERS);
+      // Keep phone numbers as text so the leading 62 is not turned into a number
+      sheet.getRange("B:B").setNumberFormat("@");
+    }
+
+    return sheet;
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function getCustomer(token, name) {
+  AccessControl.require(token);
+  return CustomerDirectory.find(name);
+}
+
+function getCustomerNames(token) {
+  AccessControl.require(token);
+  return CustomerDirectory.getNames();
+}
@@ -1,14 +1,10 @@
-const SHEET = SpreadsheetApp.getActiveSpreadsheet();
-const CONFIG_SHEET = SHEET.getSheetByName(SHEET_CONFIG);
-const CONFIG_DOKU_CLIENT_ID = CONFIG_SHEET.getRange("B2").getValue();
-const CONFIG_DOKU_SECRET_KEY = CONFIG_SHEET.getRange("B3").getValue();
-const CONFIG_DOKU_ENVIRONMENT = CONFIG_SHEET.getRange("B4").getValue();
+const DOKU_NOTIFICATION_MAX_AGE_MINUTES = 5; // notifikasi lebih lama dari ini dianggap replay
 
 /**
  * Class untuk handle DOKU Payment API
  *
  * @example
- * const doku = new DokuPayment(CONFIG_DOKU_CLIENT_ID, CONFIG_DOKU_SECRET_KEY, CONFIG_DOKU_ENVIRONMENT);
+ * const doku = DokuPayment.fromConfig();
  * const result = doku.generatePaymentUrl({
  *   invoiceNumber: "INV-20251122-0001",
  *   amount: 200000,
@@ -21,17 +17,39 @@ const CONFIG_DOKU_ENVIRONMENT = CONFIG_SHEET.getRange("B4").getValue();
  *   paymentDueDate: 60, // optional, default 60 minutes
  *   paymentMethodTypes: [] // optional, empty = all methods
  * });
+ *
+ * Options (optional, untuk testing):
+ * - baseUrl: ganti base URL API (misalnya stand-in DOKU)
+ * - fetcher: object dengan method fetch(url, options) seperti UrlFetchApp
+ * - auditLog: false untuk tidak menulis hasil request ke sheet LOG
  */
 class DokuPayment {
-  constructor(clientId, secretKey, environment = "") {
+  constructor(clientId, secretKey, environment = "", options = {}) {
     this.clientId = clientId;
     this.secretKey = secretKey;
     this.isProduction =
       environment && environment.toLowerCase() === "production";
-    this.baseUrl = this.isProduction
-      ? "https://api.doku.com"
-      : "https://api-sandbox.doku.com";
+    this.baseUrl =
+      options.baseUrl ||
+      (this.isProduction
+        ? "https://api.doku.com"
+        : "https://api-sandbox.doku.com");
     this.endpoint = "/checkout/v1/payment";
+    this.statusEndpoint = "/orders/v1/status/";
+    this.fetcher = options.fetcher || UrlFetchApp;
+    this.auditLog = options.auditLog !== false;
+  }
+
+  /**
+   * Buat DokuPayment dengan kredensial dari sheet CONFIG
+   * @returns {DokuPayment}
+   */
+  static fromConfig() {
+    return new DokuPayment(
+      Config.get("DOKU_CLIENT_ID"),
+      Config.get("DOKU_SECRET_KEY"),
+      Config.get("DOKU_ENVIRONMENT")
+    );
   }
 
   /**
@@ -53,11 +71,11 @@ class DokuPayment {
 
   /**
    * Generate Digest (SHA-256 hash dari request body)
-   * @param {Object} body - Request body object
+   * @param {Object|string} body - Request body object, atau raw body string
    * @returns {string} Base64 encoded SHA-256 hash
    */
   generateDigest(body) {
-    const bodyString = JSON.stringify(body);
+    const bodyString = typeof body === "string" ? body : JSON.stringify(body);
     const hash = Utilities.computeDigest(
       Utilities.DigestAlgorithm.SHA_256,
       bodyString,
@@ -71,19 +89,29 @@ class DokuPayment {
    * @param {string} clientId
    * @param {string} requestId
    * @param {string} timestamp
-   * @param {string} digest
+   * @param {string} digest - Kosong untuk request tanpa body (GET)
+   * @param {string} [requestTarget=this.endpoint] - Path yang ditandatangani
    * @returns {string} Signature dengan format HMACSHA256=xxx
    */
-  generateSignature(clientId, requestId, timestamp, digest) {
+  generateSignature(
+    clientId,
+    requestId,
+    timestamp,
+    digest,
+    requestTarget = this.endpoint
+  ) {
     // Build signature components
     const components = [
       `Client-Id:${clientId}`,
       `Request-Id:${requestId}`,
       `Request-Timestamp:${timestamp}`,
-      `Request-Target:${this.endpoint}`,
-      `Digest:${digest}`,
+      `Request-Target:${requestTarget}`,
     ];
 
+    if (digest) {
+      components.push(`Digest:${digest}`);
+    }
+
     const signatureString = components.join("\n");
 
     // Calculate HMAC-SHA256
@@ -158,44 +186,13 @@ class DokuPayment {
         requestBody.payment.payment_method_types = orderData.paymentMethodTypes;
       }
 
-      // Generate request headers
-      const requestId = this.generateRequestId();
-      const timestamp = this.generateTimestamp();
-      const digest = this.generateDigest(requestBody);
-      const signature = this.generateSignature(
-        this.clientId,
-        requestId,
-        timestamp,
-        digest
+      const { responseCode, responseBody } = this.sendRequest(
+        "POST",
+        this.endpoint,
+        requestBody,
+        orderData.invoiceNumber
       );
 
-      // Build request options
-      const options = {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Client-Id": this.clientId,
-          "Request-Id": requestId,
-          "Request-Timestamp": timestamp,
-          Signature: signature,
-        },
-        payload: JSON.stringify(requestBody),
-        muteHttpExceptions: true,
-      };
-
-      // Log request for debugging (remove in production)
-      Logger.log("DOKU Request URL: " + this.baseUrl + this.endpoint);
-      Logger.log("DOKU Request Headers: " + JSON.stringify(options.headers));
-      Logger.log("DOKU Request Body: " + JSON.stringify(requestBody));
-
-      // Make API call
-      const response = UrlFetchApp.fetch(this.baseUrl + this.endpoint, options);
-      const responseCode = response.getResponseCode();
-      const responseBody = JSON.parse(response.getContentText());
-
-      Logger.log("DOKU Response Code: " + responseCode);
-      Logger.log("DOKU Response Body: " + JSON.stringify(responseBody));
-
       // Handle response
       if (responseCode === 200 && responseBody.response) {
         return {
@@ -227,4 +224,191 @@ class DokuPayment {
       };
     }
   }
+
+  /**
+   * Cek status pembayaran sebuah invoice (Check Status API)
+   * @param {string} invoiceNumber - Invoice number
+   * @returns {Object} Result object { success, status, amount, transactionDate, error }
+   * status: SUCCESS | PENDING | FAILED | EXPIRED | NOT_FOUND
+   */
+  getPaymentStatus(invoiceNumber) {
+    try {
+      const { responseCode, responseBody } = this.sendRequest(
+        "GET",
+        this.statusEndpoint + encodeURIComponent(invoiceNumber),
+        null,
+        invoiceNumber
+      );
+
+      if (responseCode === 404) {
+        return { success: true, status: "NOT_FOUND", response: responseBody };
+      }
+
+      if (responseCode === 200 && responseBody.transaction) {
+        return {
+          success: true,
+          status: responseBody.transaction.status,
+          amount: Number(responseBody.order && responseBody.order.amount),
+          transactionDate: responseBody.transaction.date,
+          response: responseBody,
+        };
+      }
+
+      const errorMessages = responseBody.error_messages ||
+        responseBody.message || ["Unknown error"];
+      return {
+        success: false,
+        error: Array.isArray(errorMessages)
+          ? errorMessages.join(", ")
+          : errorMessages,
+        responseCode: responseCode,
+        response: responseBody,
+      };
+    } catch (error) {
+      Logger.log("DOKU Error: " + error.toString());
+      return {
+        success: false,
+        error: error.toString(),
+      };
+    }
+  }
+
+  /**
+   * Kirim request bertanda tangan ke endpoint DOKU manapun
+   * Request-Target pada signature selalu sama dengan endpoint yang dipanggil,
+   * Digest hanya disertakan jika request punya body
+   * @param {string} method - HTTP method (GET/POST)
+   * @param {string} endpoint - Path endpoint, e.g. /orders/v1/status/INV-xxx
+   * @param {Object} [body] - Request body object
+   * @param {string} [invoiceId] - Invoice terkait, untuk LOG
+   * @returns {Object} { responseCode, responseBody }
+   */
+  sendRequest(method, endpoint, body, invoiceId) {
+    const requestId = this.generateRequestId();
+    const timestamp = this.generateTimestamp();
+    const digest = body ? this.generateDigest(body) : "";
+    const signature = this.generateSignature(
+      this.clientId,
+      requestId,
+      timestamp,
+      digest,
+      endpoint
+    );
+
+    // Build request options
+    const options = {
+      method: method,
+      headers: {
+        "Client-Id": this.clientId,
+        "Request-Id": requestId,
+        "Request-Timestamp": timestamp,
+        Signature: signature,
+      },
+      muteHttpExceptions: true,
+    };
+
+    if (body) {
+      options.headers["Content-Type"] = "application/json";
+      options.payload = JSON.stringify(body);
+    }
+
+    // Log request for debugging (remove in production)
+    Logger.log("DOKU Request URL: " + this.baseUrl + endpoint);
+    Logger.log(
+      "DOKU Request Headers: " +
+        JSON.stringify(AuditLog.redact(options.headers))
+    );
+    if (body) {
+      Logger.log("DOKU Request Body: " + JSON.stringify(body));
+    }
+
+    // Make API call
+    const response = this.fetcher.fetch(this.baseUrl + endpoint, options);
+    const responseCode = response.getResponseCode();
+    const responseText = response.getContentText();
+    const responseBody = responseText ? JSON.parse(responseText) : {};
+
+    Logger.log("DOKU Response Code: " + responseCode);
+    Logger.log("DOKU Response Body: " + JSON.stringify(responseBody));
+
+    if (this.auditLog) {
+      AuditLog.write("doku.request", {
+        invoiceId: invoiceId,
+        outcome:
+          responseCode >= 200 && responseCode < 300
+            ? LOG_OUTCOME.SUCCESS
+            : LOG_OUTCOME.FAILURE,
+        details: {
+          method: method,
+          endpoint: endpoint,
+          headers: options.headers,
+          responseCode: responseCode,
+          response: responseBody,
+        },
+      });
+    }
+
+    return { responseCode, responseBody };
+  }
+
+  /**
+   * Verifikasi HTTP Notification dari DOKU
+   * Digest dihitung ulang dari raw body, lalu Signature dihitung dengan
+   * skema HMAC-SHA256 yang sama seperti generateSignature().
+   * Request-Timestamp harus dalam DOKU_NOTIFICATION_MAX_AGE_MINUTES dari
+   * sekarang, supaya notifikasi yang direkam tidak bisa dikirim ulang
+   * @param {Object} headers - Header notifikasi (Client-Id, Request-Id, Request-Timestamp, Signature, Digest)
+   * @param {string} rawBody - Body notifikasi persis seperti yang dikirim DOKU
+   * @param {string} requestTarget - Path URL notifikasi yang terdaftar di DOKU
+   * @returns {Object} Result object { valid, error }
+   */
+  verifyNotification(headers, rawBody, requestTarget) {
+    const header = (name) => {
+      const key = Object.keys(headers || {}).find(
+        (k) => k.toLowerCase() === name.toLowerCase()
+      );
+      return key ? String(headers[key]) : "";
+    };
+
+    const clientId = header("Client-Id");
+    const requestId = header("Request-Id");
+    const timestamp = header("Request-Timestamp");
+    const signature = header("Signature");
+
+    if (!clientId || !requestId || !timestamp || !signature) {
+      return { valid: false, error: "Missing signature headers" };
+    }
+
+    if (clientId !== String(this.clientId)) {
+      return { valid: false, error: "Unknown Client-Id: " + clientId };
+    }
+
+    const digest = this.generateDigest(rawBody);
+    const receivedDigest = header("Digest");
+    if (receivedDigest && receivedDigest !== digest) {
+      return { valid: false, error: "Digest mismatch" };
+    }
+
+    const expected = this.generateSignature(
+      clientId,
+      requestId,
+      timestamp,
+      digest,
+      requestTarget
+    );
+
+    if (!AccessControl.safeEquals(expected, signature)) {
+      return { valid: false, error: "Invalid signature" };
+    }
+
+    const age = new Date().getTime() - new Date(timestamp).getTime();
+    if (
+      isNaN(age) ||
+      Math.abs(age) > DOKU_NOTIFICATION_MAX_AGE_MINUTES * 60 * 1000
+    ) {
+      return { valid: false, error: "Stale Request-Timestamp: " + timestamp };
+    }
+
+    return { valid: true };
+  }
 }
@@ -0,0 +1,139 @@
+/**
+ * DokuStandIn Class
+ * Local stand-in for the DOKU API, used to test DOKU code without calling DOKU.
+ * Pass it as the `fetcher` option of DokuPayment. Every request is checked with
+ * the same signature scheme the real API uses.
+ *
+ * @example
+ * const standIn = new DokuStandIn("client-id", "secret", {
+ *   "INV-20250116-0001": { status: "SUCCESS", amount: 150000 },
+ * });
+ * const doku = new DokuPayment("client-id", "secret", "", {
+ *   baseUrl: DokuStandIn.BASE_URL,
+ *   fetcher: standIn,
+ *   auditLog: false,
+ * });
+ * doku.getPaymentStatus("INV-20250116-0001"); // { success: true, status: "SUCCESS", ... }
+ */
+class DokuStandIn {
+  /**
+   * @param {string} clientId - Client ID the stand-in accepts
+   * @param {string} secretKey - Secret key used to check signatures
+   * @param {Object} [orders={}] - Known orders keyed by invoice number: { status, amount, date }
+   */
+  constructor(clientId, secretKey, orders = {}) {
+    this.orders = orders;
+    this.requests = [];
+    this.signer = new DokuPayment(clientId, secretKey);
+  }
+
+  static get BASE_URL() {
+    return "https://doku.stand-in";
+  }
+
+  /**
+   * Same contract as UrlFetchApp.fetch()
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options (method, headers, payload)
+   * @returns {Object} Response-like object with getResponseCode() and getContentText()
+   */
+  fetch(url, options) {
+    const target = url.replace(/^https?:\/\/[^/]+/, "");
+    const method = (options.method || "GET").toUpperCase();
+    const headers = options.headers || {};
+    this.requests.push({ method: method, target: target, headers: headers });
+
+    const digest = options.payload
+      ? this.signer.generateDigest(options.payload)
+      : "";
+    const expected = this.signer.generateSignature(
+      headers["Client-Id"],
+      headers["Request-Id"],
+      headers["Request-Timestamp"],
+      digest,
+      target
+    );
+
+    if (
+      headers["Client-Id"] !== this.signer.clientId ||
+      headers.Signature !== expected
+    ) {
+      return DokuStandIn._response(401, {
+        error_messages: ["Invalid Header Signature"],
+      });
+    }
+
+    if (method === "GET" && target.startsWith(this.signer.statusEndpoint)) {
+      return this._orderStatus(
+        decodeURIComponent(target.slice(this.signer.statusEndpoint.length))
+      );
+    }
+
+    if (method === "POST" && target === this.signer.endpoint) {
+      return this._checkout(JSON.parse(options.payload));
+    }
+
+    return DokuStandIn._response(404, { error_messages: ["Not Found"] });
+  }
+
+  /**
+   * @private
+   */
+  _orderStatus(invoiceNumber) {
+    const order = this.orders[invoiceNumber];
+
+    if (!order) {
+      return DokuStandIn._response(404, {
+        error_messages: ["Order not found"],
+      });
+    }
+
+    return DokuStandIn._response(200, {
+      order: { invoice_number: invoiceNumber, amount: order.amount },
+      transaction: {
+        status: order.status,
+        date: order.date || new Date().toISOString(),
+      },
+    });
+  }
+
+  /**
+   * @private
+   */
+  _checkout(body) {
+    const invoiceNumber = body.order.invoice_number;
+    this.orders[invoiceNumber] = {
+      status: "PENDING",
+      amount: body.order.amount,
+    };
+
+    const expired = new Date(
+      new Date().getTime() + body.payment.payment_due_date * 60 * 1000
+    );
+
+    return DokuStandIn._response(200, {
+      response: {
+        order: { invoice_number: invoiceNumber, session_id: "standin-session" },
+        payment: {
+          url: DokuStandIn.BASE_URL + "/checkout/" + invoiceNumber,
+          token_id: "standin-" + invoiceNumber,
+          expired_date: Utilities.formatDate(
+            expired,
+            "Asia/Jakarta",
+            "yyyyMMddHHmmss"
+          ),
+        },
+      },
+    });
+  }
+
+  /**
+   * @private
+   */
+  static _response(code, body) {
+    return {
+      getResponseCode: () => code,
+      getContentText: () => JSON.stringify(body),
+    };
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Column layout of the EVENT sheet (1-based)
+ * Maintained by hand: one row per event sheet that needs its own settings
+ */
+const EVENT_SETTINGS_COLUMNS = {
+  EVENT: 1, // A - nama sheet event
+  TAX_RATE: 2, // B - PPN dalam persen (11, bukan 0,11), kosong = tanpa PPN
+  LOGO: 3, // C - URL gambar, URL file Drive atau ID file Drive
+  BANK_DETAILS: 4, // D - info rekening di invoice, boleh beberapa baris
+  FOOTER: 5, // E - teks penutup di bawah invoice
+};
+
+const EVENT_SETTINGS_HEADERS = [
+  "Event",
+  "PPN Rate (%)",
+  "Logo",
+  "Bank Details",
+  "Footer",
+];
+
+/**
+ * EventSettings Class
+ * Read-only access to per-event settings in the EVENT sheet
+ */
+class EventSettings {
+  /**
+   * Gets the settings of an event, with defaults when it has no row
+   * @param {string} sheetName - Name of the event sheet
+   * @returns {Object} { event, taxRate, logo, bankDetails, footer }
+   */
+  static get(sheetName) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_EVENT);
+    const settings = {
+      event: sheetName,
+      taxRate: 0,
+      logo: "",
+      bankDetails: "",
+      footer: "",
+    };
+
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return settings;
+    }
+
+    const values = sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, EVENT_SETTINGS_HEADERS.length)
+      .getValues()
+      .find(
+        (v) => String(v[EVENT_SETTINGS_COLUMNS.EVENT - 1]).trim() === sheetName
+      );
+
+    if (values) {
+      settings.taxRate = EventSettings.parseRate(
+        values[EVENT_SETTINGS_COLUMNS.TAX_RATE - 1]
+      );
+
+      // Invoice branding, used by the HTML invoice renderer
+      settings.logo = String(values[EVENT_SETTINGS_COLUMNS.LOGO - 1]).trim();
+      settings.bankDetails = String(
+        values[EVENT_SETTINGS_COLUMNS.BANK_DETAILS - 1]
+      ).trim();
+      settings.footer = String(
+        values[EVENT_SETTINGS_COLUMNS.FOOTER - 1]
+      ).trim();
+    }
+
+    return settings;
+  }
+
+  /**
+   * Reads a tax rate in percent, e.g. 11, "11", "11%" or "1,1"
+   * Percent is the only unit: a value between 0 and 1 is refused, because
+   * a cell formatted as percentage holds 0.11 for 11% and 0.5 cannot be
+   * told apart from a real 0.5%
+   * @param {*} value - Cell or form value
+   * @returns {number} Rate in percent, 0 when empty
+   */
+  static parseRate(value) {
+    if (value === "" || value === null || value === undefined) {
+      return 0;
+    }
+
+    const rate = Number(String(value).replace("%", "").replace(",", "."));
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      throw new Error(`PPN "${value}" harus antara 0 dan 100 persen`);
+    }
+    if (rate > 0 && rate < 1) {
+      throw new Error(
+        `PPN "${value}" terbaca sebagai pecahan, tulis dalam persen (mis. 11 untuk 11%)`
+      );
+    }
+
+    return rate;
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function getEventSettings(token, sheetName) {
+  AccessControl.require(token);
+  return EventSettings.get(sheetName);
+}
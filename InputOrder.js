@@ -10,10 +10,9 @@ class InputOrder {
   static getSheets() {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheets = ss.getSheets();
-    const excludedSheets = ["TEMPLATE", "CONFIG", "ORDER", "LOG", "INVOICE"];
 
     return sheets
-      .filter((sheet) => !excludedSheets.includes(sheet.getName()))
+      .filter((sheet) => !Config.isSystemSheet(sheet.getName()))
       .map((sheet) => sheet.getName());
   }
 
@@ -74,10 +73,20 @@ class InputOrder {
 
   /**
    * Submits a new order to the sheet
-   * @param {Object} data - Order data containing sheetName, name, and items array
+   * A repeated requestId returns the first result without adding the rows again
+   * @param {Object} data - Order data containing sheetName, name, items array and requestId
    * @returns {Object} Result object with success status and message
    */
   static submitOrder(data) {
+    return Concurrency.once(data.requestId, () =>
+      InputOrder._submitOrder(data)
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _submitOrder(data) {
     try {
       const ss = SpreadsheetApp.getActiveSpreadsheet();
       const sheet = ss.getSheetByName(data.sheetName);
@@ -90,25 +99,56 @@ class InputOrder {
         throw new Error("No items to submit");
       }
 
-      const names = InputOrder.getNames(data.sheetName);
-      const existingName = names.find((n) => n.name === data.name);
+      data.items = data.items.map((item) =>
+        ProductCatalog.resolveItem(item, data.sheetName)
+      );
 
-      if (existingName) {
-        // Insert after existing name's last row
-        InputOrder._insertRowsForExistingName(sheet, existingName.endRow, data);
-      } else {
-        // Append at the end for new name
-        InputOrder._appendRowsForNewName(sheet, data);
-      }
+      // Row positions and stock are read and written in one go
+      Concurrency.withLock(() => {
+        StockLimit.checkOrder(data.sheetName, data.items);
+
+        const names = InputOrder.getNames(data.sheetName);
+        const existingName = names.find((n) => n.name === data.name);
+
+        if (existingName) {
+          // Insert after existing name's last row
+          InputOrder._insertRowsForExistingName(
+            sheet,
+            existingName.endRow,
+            data
+          );
+        } else {
+          // Append at the end for new name
+          InputOrder._appendRowsForNewName(sheet, data);
+        }
+      });
 
       const itemCount = data.items.length;
       const itemText = itemCount === 1 ? "item" : "items";
 
+      AuditLog.write("order.submit", {
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: {
+          sheetName: data.sheetName,
+          name: data.name,
+          items: data.items,
+        },
+      });
+
       return {
         success: true,
         message: `${itemCount} ${itemText} berhasil ditambahkan!`,
       };
     } catch (error) {
+      AuditLog.write("order.submit", {
+        outcome: LOG_OUTCOME.FAILURE,
+        details: {
+          sheetName: data.sheetName,
+          name: data.name,
+          error: error.message,
+        },
+      });
+
       return {
         success: false,
         message: "Error: " + error.message,
@@ -116,6 +156,315 @@ class InputOrder {
     }
   }
 
+  /**
+   * Gets the order lines of one customer
+   * @param {string} sheetName - Name of the sheet
+   * @param {string} name - Customer name
+   * @returns {Array} Array of objects with row, item, quantity, price, invoiceId, productCode
+   */
+  static getCustomerLines(sheetName, name) {
+    const sheet = InputOrder._getSheet(sheetName);
+    const block = InputOrder._findBlock(sheetName, name);
+
+    const values = sheet
+      .getRange(
+        block.startRow,
+        1,
+        block.endRow - block.startRow + 1,
+        EVENT_PRODUCT_COLUMN
+      )
+      .getValues();
+    const lines = [];
+
+    values.forEach((v, i) => {
+      const [, item, quantity, price, invoiceId, productCode] = v;
+      if (item && item.toString().trim() !== "") {
+        lines.push({
+          row: block.startRow + i,
+          item: item.toString().trim(),
+          quantity: Number(quantity) || 0,
+          price: Number(price) || 0,
+          invoiceId: invoiceId ? invoiceId.toString().trim() : "",
+          productCode: productCode ? productCode.toString().trim() : "",
+        });
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * Updates item, quantity and price of one order line
+   * @param {Object} data - { sheetName, name, row, item, quantity, price, productCode }
+   * @returns {Object} Result object with success status and message
+   */
+  static updateOrderLine(data) {
+    try {
+      if (!data.item || data.item.toString().trim() === "") {
+        throw new Error("Item tidak boleh kosong");
+      }
+
+      const sheet = InputOrder._getSheet(data.sheetName);
+      const line = ProductCatalog.resolveItem(data, data.sheetName);
+
+      Concurrency.withLock(() => {
+        InputOrder._checkEditableLine(
+          sheet,
+          data.sheetName,
+          data.name,
+          data.row
+        );
+        StockLimit.checkOrder(data.sheetName, [line], data.row);
+        sheet
+          .getRange(Number(data.row), 2, 1, 3)
+          .setValues([[line.item, Number(line.quantity), Number(line.price)]]);
+        InputOrder._writeProductCode(sheet, Number(data.row), line.productCode);
+      });
+
+      AuditLog.write("order.line.update", {
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: data,
+      });
+
+      return { success: true, message: "Item berhasil diubah!" };
+    } catch (error) {
+      AuditLog.write("order.line.update", {
+        outcome: LOG_OUTCOME.FAILURE,
+        details: Object.assign({ error: error.message }, data),
+      });
+      return { success: false, message: "Error: " + error.message };
+    }
+  }
+
+  /**
+   * Deletes one order line
+   * When the first row of a block is deleted, the name moves to the next row
+   * @param {Object} data - { sheetName, name, row }
+   * @returns {Object} Result object with success status and message
+   */
+  static deleteOrderLine(data) {
+    try {
+      const sheet = InputOrder._getSheet(data.sheetName);
+
+      Concurrency.withLock(() => {
+        InputOrder._checkEditableLine(
+          sheet,
+          data.sheetName,
+          data.name,
+          data.row
+        );
+        InputOrder._removeLine(
+          sheet,
+          data.sheetName,
+          data.name,
+          Number(data.row)
+        );
+      });
+
+      AuditLog.write("order.line.delete", {
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: data,
+      });
+
+      return { success: true, message: "Item berhasil dihapus!" };
+    } catch (error) {
+      AuditLog.write("order.line.delete", {
+        outcome: LOG_OUTCOME.FAILURE,
+        details: Object.assign({ error: error.message }, data),
+      });
+      return { success: false, message: "Error: " + error.message };
+    }
+  }
+
+  /**
+   * Moves one order line to another customer (existing or new)
+   * @param {Object} data - { sheetName, name, row, targetName }
+   * @returns {Object} Result object with success status and message
+   */
+  static moveOrderLine(data) {
+    try {
+      const targetName = (data.targetName || "").toString().trim();
+      if (!targetName || targetName === data.name) {
+        throw new Error("Pilih customer tujuan yang berbeda");
+      }
+
+      const sheet = InputOrder._getSheet(data.sheetName);
+
+      Concurrency.withLock(() => {
+        InputOrder._checkEditableLine(
+          sheet,
+          data.sheetName,
+          data.name,
+          data.row
+        );
+
+        const [, item, quantity, price, , productCode] = sheet
+          .getRange(Number(data.row), 1, 1, EVENT_PRODUCT_COLUMN)
+          .getValues()[0];
+
+        InputOrder._removeLine(
+          sheet,
+          data.sheetName,
+          data.name,
+          Number(data.row)
+        );
+
+        const moved = {
+          name: targetName,
+          items: [
+            {
+              item: item,
+              quantity: quantity,
+              price: price,
+              productCode: productCode,
+            },
+          ],
+        };
+        const target = InputOrder.getNames(data.sheetName).find(
+          (n) => n.name === targetName
+        );
+
+        if (target) {
+          InputOrder._insertRowsForExistingName(sheet, target.endRow, moved);
+        } else {
+          InputOrder._appendRowsForNewName(sheet, moved);
+        }
+      });
+
+      AuditLog.write("order.line.move", {
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: data,
+      });
+
+      return {
+        success: true,
+        message: `Item berhasil dipindah ke ${targetName}!`,
+      };
+    } catch (error) {
+      AuditLog.write("order.line.move", {
+        outcome: LOG_OUTCOME.FAILURE,
+        details: Object.assign({ error: error.message }, data),
+      });
+      return { success: false, message: "Error: " + error.message };
+    }
+  }
+
+  /**
+   * Renames a customer block
+   * @param {Object} data - { sheetName, name, newName }
+   * @returns {Object} Result object with success status and message
+   */
+  static renameCustomer(data) {
+    try {
+      const newName = (data.newName || "").toString().trim();
+      if (!newName) {
+        throw new Error("Nama baru tidak boleh kosong");
+      }
+
+      const sheet = InputOrder._getSheet(data.sheetName);
+
+      Concurrency.withLock(() => {
+        const names = InputOrder.getNames(data.sheetName);
+
+        if (names.some((n) => n.name === newName)) {
+          throw new Error(
+            `Nama ${newName} sudah ada, pindahkan itemnya satu per satu`
+          );
+        }
+
+        const block = InputOrder._findBlock(data.sheetName, data.name);
+        sheet.getRange(block.startRow, 1).setValue(newName);
+      });
+
+      AuditLog.write("order.customer.rename", {
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: data,
+      });
+
+      return { success: true, message: `Nama diganti menjadi ${newName}!` };
+    } catch (error) {
+      AuditLog.write("order.customer.rename", {
+        outcome: LOG_OUTCOME.FAILURE,
+        details: Object.assign({ error: error.message }, data),
+      });
+      return { success: false, message: "Error: " + error.message };
+    }
+  }
+
+  /**
+   * Gets a sheet by name or throws
+   * @private
+   */
+  static _getSheet(sheetName) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(sheetName);
+
+    if (!sheet) {
+      throw new Error("Sheet not found: " + sheetName);
+    }
+
+    return sheet;
+  }
+
+  /**
+   * Finds the row range of a customer block
+   * @private
+   */
+  static _findBlock(sheetName, name) {
+    const block = InputOrder.getNames(sheetName).find((n) => n.name === name);
+
+    if (!block) {
+      throw new Error("Customer not found: " + name);
+    }
+
+    return block;
+  }
+
+  /**
+   * Checks that a row still belongs to the customer and is not invoiced yet
+   * @private
+   */
+  static _checkEditableLine(sheet, sheetName, name, row) {
+    const block = InputOrder._findBlock(sheetName, name);
+    row = Number(row);
+
+    if (row < block.startRow || row > block.endRow) {
+      throw new Error("Baris sudah berubah, muat ulang data customer");
+    }
+
+    const invoiceId = sheet.getRange(row, EVENT_INVOICE_COLUMN).getValue();
+    if (invoiceId) {
+      throw new Error(`Item sudah ditagih di invoice ${invoiceId}`);
+    }
+  }
+
+  /**
+   * Deletes a row, carrying the customer name over to the next row of the block
+   * @private
+   */
+  static _removeLine(sheet, sheetName, name, row) {
+    const block = InputOrder._findBlock(sheetName, name);
+
+    if (row === block.startRow && block.endRow > block.startRow) {
+      sheet.getRange(row + 1, 1).setValue(name);
+    }
+
+    sheet.deleteRow(row);
+  }
+
+  /**
+   * Writes the catalog product code of a row, adding the column header if needed
+   * @private
+   */
+  static _writeProductCode(sheet, row, productCode) {
+    const header = sheet.getRange(1, EVENT_PRODUCT_COLUMN);
+    if (header.getValue() === "") {
+      header.setValue("Product Code");
+    }
+
+    sheet.getRange(row, EVENT_PRODUCT_COLUMN).setValue(productCode || "");
+  }
+
   /**
    * Inserts multiple rows after an existing name's entries
    * @param {Sheet} sheet - The target sheet
@@ -138,6 +487,7 @@ class InputOrder {
       sheet.getRange(newRow, 2).setValue(item.item);
       sheet.getRange(newRow, 3).setValue(item.quantity);
       sheet.getRange(newRow, 4).setValue(item.price);
+      InputOrder._writeProductCode(sheet, newRow, item.productCode);
     }
   }
 
@@ -164,6 +514,7 @@ class InputOrder {
       sheet.getRange(newRow, 2).setValue(item.item);
       sheet.getRange(newRow, 3).setValue(item.quantity);
       sheet.getRange(newRow, 4).setValue(item.price);
+      InputOrder._writeProductCode(sheet, newRow, item.productCode);
     }
   }
 }
@@ -173,19 +524,52 @@ class InputOrder {
  * These are required because google.script.run cannot call static class methods
  */
 
-function getSheets() {
+function getSheets(token) {
+  AccessControl.require(token);
   Logger.log("getSheets() called");
   const sheets = InputOrder.getSheets();
   Logger.log("getSheets() returning: " + JSON.stringify(sheets));
   return sheets;
 }
 
-function getNames(sheetName) {
+function getNames(token, sheetName) {
+  AccessControl.require(token);
   Logger.log("getNames() called with sheetName: " + sheetName);
   return InputOrder.getNames(sheetName);
 }
 
-function submitOrder(data) {
+function submitOrder(token, data) {
+  AccessControl.require(token);
   Logger.log("submitOrder() called");
   return InputOrder.submitOrder(data);
 }
+
+function getCustomerLines(token, sheetName, name) {
+  AccessControl.require(token);
+  Logger.log("getCustomerLines() called with sheetName: " + sheetName);
+  return InputOrder.getCustomerLines(sheetName, name);
+}
+
+function updateOrderLine(token, data) {
+  AccessControl.require(token);
+  Logger.log("updateOrderLine() called");
+  return InputOrder.updateOrderLine(data);
+}
+
+function deleteOrderLine(token, data) {
+  AccessControl.require(token);
+  Logger.log("deleteOrderLine() called");
+  return InputOrder.deleteOrderLine(data);
+}
+
+function moveOrderLine(token, data) {
+  AccessControl.require(token);
+  Logger.log("moveOrderLine() called");
+  return InputOrder.moveOrderLine(data);
+}
+
+function renameCustomer(token, data) {
+  AccessControl.require(token);
+  Logger.log("renameCustomer() called");
+  return InputOrder.renameCustomer(data);
+}
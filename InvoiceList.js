@@ -0,0 +1,107 @@
+/**
+ * InvoiceList Class
+ * Lists invoices from the ORDER sheet and manages their status
+ */
+class InvoiceList {
+  /**
+   * Gets invoices filtered by status, event and customer name or invoice ID
+   * Unpaid invoices whose payment link has passed its expiry are shown as
+   * expired; the ORDER sheet is left to PaymentReconciler
+   * DP invoices get the outstanding balance of their order
+   * @param {Object} filters - { status, event, customer } (all optional),
+   *   customer also matches the invoice ID
+   * @returns {Array} Array of invoice objects, newest first
+   */
+  static getInvoices(filters) {
+    filters = filters || {};
+    const customer = (filters.customer || "").toString().trim().toLowerCase();
+    const now = new Date();
+    const invoices = OrderSheet.getInvoices();
+
+    return invoices
+      .map((invoice) => {
+        if (
+          invoice.status === INVOICE_STATUS.UNPAID &&
+          invoice.expiredDate &&
+          new Date(invoice.expiredDate) < now
+        ) {
+          invoice.status = INVOICE_STATUS.EXPIRED;
+        }
+        if (invoice.paymentType === PAYMENT_TYPE.DP) {
+          invoice.outstanding = OrderSheet.getBalance(
+            invoice.invoiceId,
+            invoices
+          ).outstanding;
+        }
+        return invoice;
+      })
+      .filter((invoice) => !filters.status || invoice.status === filters.status)
+      .filter((invoice) => !filters.event || invoice.event === filters.event)
+      .filter(
+        (invoice) =>
+          !customer ||
+          invoice.customerName.toLowerCase().includes(customer) ||
+          invoice.invoiceId.toLowerCase().includes(customer)
+      );
+  }
+
+  /**
+   * Cancels a draft or unpaid invoice
+   * The status is read again and written under the lock, so a payment that
+   * arrives at the same time is not overwritten
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Object} Result object with success status and message
+   */
+  static cancelInvoice(invoiceId) {
+    try {
+      Concurrency.withLock(() => {
+        const invoice = OrderSheet.getInvoices().find(
+          (inv) => inv.invoiceId === invoiceId
+        );
+
+        if (!invoice) {
+          throw new Error("Invoice not found: " + invoiceId);
+        }
+
+        if (invoice.status === INVOICE_STATUS.PAID) {
+          throw new Error("Invoice yang sudah lunas tidak bisa dibatalkan");
+        }
+
+        if (invoice.status === INVOICE_STATUS.PARTIAL) {
+          throw new Error("DP sudah dibayar, invoice tidak bisa dibatalkan");
+        }
+
+        OrderSheet.updateInvoice(invoiceId, {
+          STATUS: INVOICE_STATUS.CANCELLED,
+        });
+
+        // Items of a cancelled invoice can be invoiced again
+        if (invoice.event) {
+          CreateInvoice.releaseInvoicedRows(invoice.event, invoiceId);
+        }
+      });
+
+      AuditLog.write("invoice.cancel", {
+        invoiceId: invoiceId,
+        outcome: LOG_OUTCOME.SUCCESS,
+      });
+
+      return { success: true, message: `${invoiceId} dibatalkan` };
+    } catch (error) {
+      return { success: false, message: "Error: " + error.message };
+    }
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function getInvoices(token, filters) {
+  AccessControl.require(token);
+  return InvoiceList.getInvoices(filters);
+}
+
+function cancelInvoice(token, invoiceId) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return InvoiceList.cancelInvoice(invoiceId);
+}
@@ -0,0 +1,273 @@
+const INVOICE_ITEM_START_ROW = 18; // baris item pertama di template INVOICE
+const INVOICE_ITEM_ROWS = 11; // jumlah baris item di template (B18:G28)
+const INVOICE_HTML_TEMPLATE = "InvoiceTemplate"; // file HTML template invoice
+
+const INVOICE_RENDERER = {
+  HTML: "html", // PDF dari template HTML, tanpa sheet sementara
+  SHEET: "sheet", // salinan sheet INVOICE, diekspor PNG/PDF
+};
+
+/**
+ * InvoiceRenderer Class
+ * Turns invoice data into the document sent to the customer.
+ * The HTML path renders InvoiceTemplate.html to PDF with the branding of the
+ * event; the sheet path fills a copy of the INVOICE sheet and is used when
+ * CONFIG selects it or when the HTML path fails.
+ */
+class InvoiceRenderer {
+  /**
+   * Renders an invoice with the renderer chosen in CONFIG (INVOICE_RENDERER)
+   * @param {Object} invoice - { invoiceId, date, sheetName, customerName,
+   *   items: [{ item, quantity, price }], subtotal, discount, shipping,
+   *   taxRate, tax, uniqueCode, total, paymentMethod,
+   *   downPayment: { label, amount, rest } | null }
+   * @returns {Blob} PDF, or PNG from the sheet path when the export allows it
+   */
+  static render(invoice) {
+    if (Config.get("INVOICE_RENDERER") === INVOICE_RENDERER.HTML) {
+      try {
+        return InvoiceRenderer.renderHtml(invoice);
+      } catch (error) {
+        // The invoice still goes out, but a broken template must show up in LOG
+        AuditLog.write("invoice.render", {
+          invoiceId: invoice.invoiceId,
+          outcome: LOG_OUTCOME.FAILURE,
+          details: {
+            renderer: INVOICE_RENDERER.HTML,
+            fallback: INVOICE_RENDERER.SHEET,
+            error: error.message,
+          },
+        });
+      }
+    }
+
+    return InvoiceRenderer.renderSheet(invoice);
+  }
+
+  /**
+   * Renders the HTML template to PDF
+   * @param {Object} invoice - Invoice data, see render()
+   * @returns {Blob} PDF
+   */
+  static renderHtml(invoice) {
+    const settings = EventSettings.get(invoice.sheetName);
+    const template = HtmlService.createTemplateFromFile(INVOICE_HTML_TEMPLATE);
+
+    template.invoice = invoice;
+    template.branding = {
+      logo: InvoiceRenderer._logoDataUri(settings.logo),
+      bankDetails: BankTransfer.bankDetails(invoice.sheetName),
+      footer: settings.footer,
+    };
+    template.formatCurrency = CreateInvoice.formatCurrency;
+    template.formatDate = (date) =>
+      Utilities.formatDate(date, Session.getScriptTimeZone(), "dd MMMM yyyy");
+
+    const html = template.evaluate().getContent();
+    return Utilities.newBlob(
+      html,
+      MimeType.HTML,
+      invoice.invoiceId + ".html"
+    ).getAs(MimeType.PDF);
+  }
+
+  /**
+   * Fills a copy of the INVOICE sheet and exports it, PNG first and PDF when
+   * that fails. The copy is always deleted afterwards
+   * @param {Object} invoice - Invoice data, see render()
+   * @returns {Blob} PNG or PDF
+   */
+  static renderSheet(invoice) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const tempSheet = ss
+      .getSheetByName(SHEET_INVOICE)
+      .copyTo(ss)
+      .setName(SHEET_TEMP_INVOICE + "_" + new Date().getTime());
+
+    try {
+      const extraRows = InvoiceRenderer._fillSheet(tempSheet, invoice);
+      SpreadsheetApp.flush();
+
+      const exportUrl = `https://docs.google.com/spreadsheets/d/${ss.getId()}/export?gid=${tempSheet.getSheetId()}`;
+
+      // Try PNG export first
+      const pngResponse = InvoiceRenderer._fetchExport(
+        exportUrl + "&format=png&scale=2&fzr=false&fzc=false"
+      );
+      if (pngResponse.getResponseCode() === 200) {
+        return pngResponse.getBlob();
+      }
+
+      // Fallback to PDF, long invoices continue on the next pages with page numbers
+      const pdfResponse = InvoiceRenderer._fetchExport(
+        exportUrl +
+          `&format=pdf&portrait=true&fitw=true&sheetnames=false&printtitle=false&pagenumbers=${
+            extraRows > 0
+          }&gridlines=false&fzr=false`
+      );
+      if (pdfResponse.getResponseCode() !== 200) {
+        throw new Error("Failed to export invoice document");
+      }
+
+      return pdfResponse.getBlob();
+    } finally {
+      ss.deleteSheet(tempSheet);
+    }
+  }
+
+  /**
+   * Writes the invoice into a copy of the INVOICE sheet
+   * @private
+   * @returns {number} Item rows added to the template
+   */
+  static _fillSheet(tempSheet, invoice) {
+    // Fill invoice template
+    tempSheet.getRange("G7").setValue(invoice.date); // Date
+    tempSheet.getRange("G9").setValue(invoice.invoiceId); // Invoice ID
+    tempSheet.getRange("B14").setValue(invoice.customerName); // Customer name
+
+    // Grow the item area when there are more items than the template has rows.
+    // Rows are inserted inside the area so formatting and totals below shift down
+    const extraRows = Math.max(0, invoice.items.length - INVOICE_ITEM_ROWS);
+    if (extraRows > 0) {
+      tempSheet.insertRowsAfter(
+        INVOICE_ITEM_START_ROW + INVOICE_ITEM_ROWS - 2,
+        extraRows
+      );
+    }
+    const lastItemRow =
+      INVOICE_ITEM_START_ROW + INVOICE_ITEM_ROWS - 1 + extraRows;
+
+    // Clear previous data
+    tempSheet
+      .getRange(
+        INVOICE_ITEM_START_ROW,
+        2,
+        lastItemRow - INVOICE_ITEM_START_ROW + 1,
+        6
+      )
+      .clearContent();
+
+    // Fill items starting from the first item row
+    invoice.items.forEach((item, i) => {
+      const row = INVOICE_ITEM_START_ROW + i;
+
+      tempSheet.getRange(row, 2).setValue(item.item); // Column B: Item
+      tempSheet.getRange(row, 5).setValue(item.quantity); // Column E: Qty
+      tempSheet.getRange(row, 6).setValue(item.price); // Column F: Price
+      tempSheet.getRange(row, 7).setValue(item.quantity * item.price); // Column G: Subtotal
+    });
+
+    // Summary rows directly below the items (G29-G32 on the original template).
+    // PPN gets its own row, inserted between discount and total
+    const shippingRow = lastItemRow + 1;
+    const subtotalRow = lastItemRow + 2;
+    const discountRow = lastItemRow + 3;
+    const taxRow = discountRow + 1;
+    let totalRow = lastItemRow + 4 + (invoice.tax > 0 ? 1 : 0);
+
+    if (invoice.tax > 0) {
+      tempSheet.insertRowAfter(discountRow);
+      tempSheet.getRange(taxRow, 6).setValue(`PPN ${invoice.taxRate}%`); // Column F: Label
+      tempSheet.getRange(taxRow, 7).setValue(invoice.tax);
+    }
+
+    // The unique code of a transfer invoice goes right above the total
+    if (invoice.uniqueCode > 0) {
+      tempSheet.insertRowBefore(totalRow);
+      tempSheet.getRange(totalRow, 6).setValue("Kode unik");
+      tempSheet.getRange(totalRow, 7).setValue(invoice.uniqueCode);
+      totalRow++;
+    }
+
+    // Add Subtotal label and value
+    tempSheet.getRange(subtotalRow, 7).setValue(invoice.subtotal);
+
+    // Add Discount if exists
+    if (invoice.discount > 0) {
+      tempSheet.getRange(discountRow, 7).setValue(-invoice.discount);
+    }
+
+    // Add Shipping if exists
+    if (invoice.shipping > 0) {
+      tempSheet.getRange(shippingRow, 7).setValue(invoice.shipping);
+    }
+
+    // Add Total
+    tempSheet.getRange(totalRow, 7).setValue(invoice.total);
+
+    // DP and remaining balance below the total
+    if (invoice.downPayment) {
+      tempSheet.insertRowsAfter(totalRow, 2);
+      tempSheet.getRange(totalRow + 1, 6).setValue(invoice.downPayment.label);
+      tempSheet.getRange(totalRow + 1, 7).setValue(invoice.downPayment.amount);
+      tempSheet.getRange(totalRow + 2, 6).setValue("Sisa");
+      tempSheet.getRange(totalRow + 2, 7).setValue(invoice.downPayment.rest);
+    }
+
+    // Where to transfer the exact total
+    if (invoice.paymentMethod === PAYMENT_METHOD.TRANSFER) {
+      tempSheet.insertRowsAfter(totalRow, 2);
+      tempSheet
+        .getRange(totalRow + 1, 2)
+        .setValue(
+          "Transfer tepat " +
+            CreateInvoice.formatCurrency(invoice.total) +
+            " ke:"
+        );
+      tempSheet
+        .getRange(totalRow + 2, 2)
+        .setValue(BankTransfer.bankDetails(invoice.sheetName))
+        .setWrap(true);
+    }
+
+    return extraRows;
+  }
+
+  /**
+   * @private
+   */
+  static _fetchExport(url) {
+    return UrlFetchApp.fetch(url, {
+      headers: {
+        Authorization: "Bearer " + ScriptApp.getOAuthToken(),
+      },
+      muteHttpExceptions: true,
+    });
+  }
+
+  /**
+   * Logo as a data URI, so the PDF converter does not have to fetch it
+   * A logo that cannot be loaded is left out instead of failing the invoice
+   * @private
+   * @param {string} logo - Image URL, Drive file URL or Drive file ID
+   * @returns {string} data URI, empty without a usable logo
+   */
+  static _logoDataUri(logo) {
+    if (!logo) {
+      return "";
+    }
+
+    try {
+      const driveId = logo.match(/\/d\/([^/]+)/);
+      const blob =
+        /^https?:\/\//.test(logo) && !driveId
+          ? UrlFetchApp.fetch(logo).getBlob()
+          : DriveApp.getFileById(driveId ? driveId[1] : logo).getBlob();
+
+      if (!String(blob.getContentType()).startsWith("image/")) {
+        throw new Error("bukan file gambar");
+      }
+
+      return (
+        "data:" +
+        blob.getContentType() +
+        ";base64," +
+        Utilities.base64Encode(blob.getBytes())
+      );
+    } catch (error) {
+      Logger.log(`Logo "${logo}" cannot be loaded: ${error}`);
+      return "";
+    }
+  }
+}
@@ -0,0 +1,164 @@
+const STATUS_PAGE_TEMPLATE = "InvoiceStatus"; // file HTML halaman status invoice
+
+// Status shown to the customer
+const STATUS_PAGE_LABELS = {
+  draft: "Sedang diproses",
+  unpaid: "Menunggu pembayaran",
+  partial: "DP diterima",
+  paid: "Lunas",
+  expired: "Link pembayaran kedaluwarsa",
+  cancelled: "Dibatalkan",
+};
+
+/**
+ * InvoiceStatusPage Class
+ * Read-only invoice page for the customer, served by doGet() for
+ * ?invoice=<id>&token=<token>. The token is an HMAC of the invoice ID, so a
+ * link only opens its own invoice (and the other invoices of the same DP order)
+ */
+class InvoiceStatusPage {
+  /**
+   * Link to the status page of an invoice, sent to the customer
+   * @param {string} invoiceId - Invoice ID
+   * @returns {string} Web app URL with invoice and token parameters
+   */
+  static getUrl(invoiceId) {
+    const base = Config.get("WEB_APP_URL") || ScriptApp.getService().getUrl();
+
+    return (
+      base +
+      "?invoice=" +
+      encodeURIComponent(invoiceId) +
+      "&token=" +
+      InvoiceStatusPage.token(invoiceId)
+    );
+  }
+
+  /**
+   * Token for an invoice: HMAC-SHA256 of the invoice ID with STATUS_PAGE_SECRET
+   * Changing the secret invalidates every link sent so far
+   * @param {string} invoiceId - Invoice ID
+   * @returns {string} URL-safe token
+   */
+  static token(invoiceId) {
+    const signature = Utilities.computeHmacSha256Signature(
+      "invoice-status:" + invoiceId,
+      Config.get("STATUS_PAGE_SECRET"),
+      Utilities.Charset.UTF_8
+    );
+    return Utilities.base64EncodeWebSafe(signature).replace(/=+$/, "");
+  }
+
+  /**
+   * Serves the status page
+   * A wrong token and an unknown invoice get the same answer, so the page
+   * tells nothing about invoices the link is not for
+   * @param {Object} params - doGet() query parameters { invoice, token }
+   * @returns {HtmlOutput} Status page
+   */
+  static render(params) {
+    const template = HtmlService.createTemplateFromFile(STATUS_PAGE_TEMPLATE);
+    template.view = null;
+
+    try {
+      const invoiceId = String(params.invoice || "");
+      if (
+        AccessControl.safeEquals(
+          String(params.token || ""),
+          InvoiceStatusPage.token(invoiceId)
+        )
+      ) {
+        template.view = InvoiceStatusPage._view(invoiceId);
+      }
+    } catch (error) {
+      Logger.log("Invoice status page error: " + error);
+    }
+
+    return template
+      .evaluate()
+      .setTitle("Status Invoice")
+      .addMetaTag("viewport", "width=device-width, initial-scale=1");
+  }
+
+  /**
+   * Data shown on the page, only of the invoice and its own order
+   * @private
+   */
+  static _view(invoiceId) {
+    const invoice = OrderSheet.getInvoiceDetail(invoiceId);
+    if (invoice.status === INVOICE_STATUS.CANCELLED) {
+      return null;
+    }
+
+    const now = new Date();
+    const expired = (inv) =>
+      inv.status === INVOICE_STATUS.EXPIRED ||
+      (inv.status === INVOICE_STATUS.UNPAID &&
+        inv.expiredDate &&
+        new Date(inv.expiredDate) < now);
+    const status = expired(invoice) ? INVOICE_STATUS.EXPIRED : invoice.status;
+
+    // DP and settlement invoices show the balance of the whole order
+    const order = OrderSheet.getInvoices().filter(
+      (inv) =>
+        inv.orderId === invoice.orderId &&
+        inv.status !== INVOICE_STATUS.CANCELLED
+    );
+    const partOfOrder = invoice.paymentType !== PAYMENT_TYPE.FULL;
+    const balance = partOfOrder
+      ? OrderSheet.getBalance(invoice.orderId, order)
+      : null;
+
+    // The link to pay now: this invoice's, or for a paid DP the open settlement's
+    const payable = [invoice]
+      .concat(order.filter((inv) => inv.invoiceId !== invoiceId))
+      .find((inv) => inv.status === INVOICE_STATUS.UNPAID && !expired(inv));
+
+    // The directory is keyed by name only: another customer with the same
+    // name must not see this address, so the phone has to match as well
+    const customer = CustomerDirectory.find(invoice.customerName);
+    const sameCustomer =
+      customer &&
+      customer.phone &&
+      CustomerDirectory.normalizePhoneNumber(customer.phone) ===
+        CustomerDirectory.normalizePhoneNumber(invoice.phoneNumber);
+
+    return {
+      invoiceId: invoice.invoiceId,
+      date: invoice.date ? new Date(invoice.date) : null,
+      customerName: invoice.customerName,
+      status: status,
+      statusLabel: STATUS_PAGE_LABELS[status] || status,
+      items: invoice.items,
+      subtotal: invoice.subtotal,
+      discount: invoice.discount,
+      tax: invoice.tax,
+      taxRate: invoice.taxRate,
+      shipping: invoice.shipping,
+      total: invoice.total,
+      uniqueCode: invoice.uniqueCode,
+      amountDue: invoice.amountDue,
+      paymentType: invoice.paymentType,
+      // Transfer invoices are paid to the bank details, there is no link
+      bankDetails:
+        invoice.paymentMethod === PAYMENT_METHOD.TRANSFER
+          ? BankTransfer.bankDetails(invoice.event)
+          : "",
+      balance: balance,
+      payment: payable
+        ? {
+            invoiceId: payable.invoiceId,
+            amount: payable.amountDue,
+            url: payable.paymentUrl,
+            expiredDate: payable.expiredDate
+              ? new Date(payable.expiredDate)
+              : null,
+          }
+        : null,
+      address: sameCustomer ? customer.address : "",
+      formatCurrency: CreateInvoice.formatCurrency,
+      formatDate: (date, pattern) =>
+        Utilities.formatDate(date, Session.getScriptTimeZone(), pattern),
+    };
+  }
+}
@@ -0,0 +1,238 @@
+// Columns added after ORDER_HEADERS, repeated on every item row of an invoice
+const EXPORT_INVOICE_HEADERS = [
+  "Invoice Items Total",
+  "Diskon",
+  "Ongkir",
+  "PPN",
+  "Kode Unik",
+  "Invoice Total",
+];
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+/**
+ * OrderExport Class
+ * Exports ORDER rows for bookkeeping. The columns follow ORDER_HEADERS;
+ * discount, shipping, PPN and unique code rows are folded into per-invoice columns.
+ */
+class OrderExport {
+  /**
+   * Writes the export file into the output folder
+   * @param {Object} [options] - { from, to (yyyy-MM-dd, inclusive), status, format (csv|xlsx) }
+   * @returns {Object} Result object { success, message, fileUrl, fileName, rows }
+   */
+  static exportOrders(options = {}) {
+    try {
+      const format = (options.format || "csv").toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        throw new Error("Format harus csv atau xlsx");
+      }
+
+      const rows = OrderExport.buildRows(options);
+      const table = [ORDER_HEADERS.concat(EXPORT_INVOICE_HEADERS)].concat(rows);
+      const fileName = `ORDER_${Utilities.formatDate(
+        new Date(),
+        Session.getScriptTimeZone(),
+        "yyyyMMdd_HHmmss"
+      )}.${format}`;
+
+      const blob =
+        format === "csv"
+          ? Utilities.newBlob(OrderExport._toCsv(table), MimeType.CSV, fileName)
+          : OrderExport._toXlsx(table, fileName);
+
+      const folder = DriveApp.getFolderById(Config.get("OUTPUT_FOLDER_ID"));
+      const file = folder.createFile(blob);
+
+      AuditLog.write("order.export", {
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: {
+          from: options.from || "",
+          to: options.to || "",
+          status: options.status || "",
+          format: format,
+          rows: rows.length,
+          fileUrl: file.getUrl(),
+        },
+      });
+
+      return {
+        success: true,
+        message: `${rows.length} baris diekspor ke ${fileName}`,
+        fileUrl: file.getUrl(),
+        fileName: fileName,
+        rows: rows.length,
+      };
+    } catch (error) {
+      AuditLog.write("order.export", {
+        outcome: LOG_OUTCOME.FAILURE,
+        details: { options: options, error: error.message },
+      });
+      return { success: false, message: "Error: " + error.message };
+    }
+  }
+
+  /**
+   * Builds the export rows: one per item line, without the discount,
+   * shipping and PPN rows, each carrying the totals of its invoice
+   * @param {Object} [filters] - { from, to (yyyy-MM-dd, inclusive), status }
+   * @returns {Array} Array of row value arrays (dates formatted as text)
+   */
+  static buildRows(filters = {}) {
+    const sheet = OrderSheet.getSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    const from = filters.from ? new Date(filters.from + "T00:00:00") : null;
+    const to = filters.to ? new Date(filters.to + "T23:59:59.999") : null;
+    const data = sheet
+      .getRange(2, 1, lastRow - 1, ORDER_HEADERS.length)
+      .getValues()
+      .filter((values) => {
+        const date = values[ORDER_COLUMNS.DATE - 1];
+        return (
+          values[ORDER_COLUMNS.INVOICE_ID - 1] !== "" &&
+          (!filters.status ||
+            (values[ORDER_COLUMNS.STATUS - 1] || INVOICE_STATUS.UNPAID) ===
+              filters.status) &&
+          (!from || (date instanceof Date && date >= from)) &&
+          (!to || (date instanceof Date && date <= to))
+        );
+      });
+
+    const totals = {};
+    data.forEach((values) => {
+      const invoiceId = String(values[ORDER_COLUMNS.INVOICE_ID - 1]);
+      const item = String(values[ORDER_COLUMNS.ITEM - 1]);
+      const subtotal = Number(values[ORDER_COLUMNS.SUBTOTAL - 1]) || 0;
+      const invoice = totals[invoiceId] || {
+        items: 0,
+        discount: 0,
+        shipping: 0,
+        tax: 0,
+        uniqueCode: 0,
+        total: 0,
+      };
+
+      if (item === ORDER_DISCOUNT_ITEM) {
+        invoice.discount += -subtotal;
+      } else if (item === ORDER_SHIPPING_ITEM) {
+        invoice.shipping += subtotal;
+      } else if (item === ORDER_TAX_ITEM) {
+        invoice.tax += subtotal;
+      } else if (item === ORDER_UNIQUE_CODE_ITEM) {
+        invoice.uniqueCode += subtotal;
+      } else {
+        invoice.items += subtotal;
+      }
+      invoice.total += subtotal;
+      totals[invoiceId] = invoice;
+    });
+
+    return data
+      .filter((values) => {
+        const item = String(values[ORDER_COLUMNS.ITEM - 1]);
+        return ![
+          ORDER_DISCOUNT_ITEM,
+          ORDER_SHIPPING_ITEM,
+          ORDER_TAX_ITEM,
+          ORDER_UNIQUE_CODE_ITEM,
+        ].includes(item);
+      })
+      .map((values) => {
+        const invoice = totals[String(values[ORDER_COLUMNS.INVOICE_ID - 1])];
+        return values
+          .map((value) => OrderExport._formatValue(value))
+          .concat([
+            invoice.items,
+            invoice.discount,
+            invoice.shipping,
+            invoice.tax,
+            invoice.uniqueCode,
+            invoice.total,
+          ]);
+      });
+  }
+
+  /**
+   * @private
+   */
+  static _formatValue(value) {
+    return value instanceof Date
+      ? Utilities.formatDate(
+          value,
+          Session.getScriptTimeZone(),
+          "yyyy-MM-dd HH:mm:ss"
+        )
+      : value;
+  }
+
+  /**
+   * @private
+   */
+  static _toCsv(table) {
+    return table
+      .map((row) =>
+        row
+          .map((value) => {
+            // Text like "=HYPERLINK(...)" in a name or item would run as a
+            // formula in Excel/Sheets; numbers (negative amounts) stay as they are
+            const text =
+              typeof value === "string" && /^[=+\-@\t\r]/.test(value)
+                ? "'" + value
+                : String(value);
+            return /[",\r\n]/.test(text)
+              ? '"' + text.replace(/"/g, '""') + '"'
+              : text;
+          })
+          .join(",")
+      )
+      .join("\r\n");
+  }
+
+  /**
+   * Writes the table to a temporary spreadsheet and exports it as XLSX
+   * @private
+   */
+  static _toXlsx(table, fileName) {
+    const temp = SpreadsheetApp.create(fileName);
+
+    try {
+      const sheet = temp.getSheets()[0];
+      // Keep the leading zero of phone numbers, like in ORDER
+      sheet
+        .getRange(1, ORDER_COLUMNS.PHONE, table.length, 1)
+        .setNumberFormat("@");
+      sheet.getRange(1, 1, table.length, table[0].length).setValues(table);
+      SpreadsheetApp.flush();
+
+      const response = UrlFetchApp.fetch(
+        `https://docs.google.com/spreadsheets/d/${temp.getId()}/export?format=xlsx`,
+        {
+          headers: {
+            Authorization: "Bearer " + ScriptApp.getOAuthToken(),
+          },
+          muteHttpExceptions: true,
+        }
+      );
+
+      if (response.getResponseCode() !== 200) {
+        throw new Error("Failed to export XLSX");
+      }
+
+      return response.getBlob().setName(fileName);
+    } finally {
+      DriveApp.getFileById(temp.getId()).setTrashed(true);
+    }
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function exportOrders(token, options) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return OrderExport.exportOrders(options);
+}
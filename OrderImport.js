@@ -0,0 +1,395 @@
+// Price shorthands: 85rb, 85k, 1,2jt
+const IMPORT_PRICE_MULTIPLIERS = {
+  rb: 1000,
+  ribu: 1000,
+  k: 1000,
+  jt: 1000000,
+  juta: 1000000,
+};
+
+// WhatsApp export prefix: "[12/01/25 10.15] " (iOS) or "12/01/25, 10:15 - " (Android)
+const IMPORT_CHAT_PREFIX =
+  /^\[?\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4},?\s+\d{1,2}[.:]\d{2}(?:[.:]\d{2})?(?:\s*[ap]m)?\]?\s*-?\s*/i;
+
+// Column names recognised in a CSV header row (lowercase)
+const IMPORT_CSV_HEADERS = {
+  name: ["nama", "name", "customer"],
+  item: ["item", "produk", "barang", "product"],
+  quantity: ["qty", "jumlah", "quantity", "jml"],
+  price: ["harga", "price", "unit price"],
+};
+
+/**
+ * OrderImport Class
+ * Turns pasted WhatsApp chat text or CSV into order groups per customer.
+ * Nothing is written here: the web app shows the groups for editing and
+ * saves each one through InputOrder.submitOrder().
+ */
+class OrderImport {
+  /**
+   * Parses chat text ("Rina: 2x Lipstik A 85rb, 1 Serum") or CSV
+   * (Nama, Item, Qty, Harga; an empty name continues the previous customer)
+   * Customers already in the event sheet keep their spelling there; items
+   * without a price get the catalog price
+   * @param {string} text - Pasted text
+   * @param {string} sheetName - Event sheet the orders are for
+   * @returns {Object} { format, groups: [{ name, existing, items }], errors: [{ line, text, message }] }
+   */
+  static parse(text, sheetName) {
+    const lines = String(text || "").split(/\r?\n/);
+    const delimiter = OrderImport._csvDelimiter(lines);
+    const parsed = delimiter
+      ? OrderImport._parseCsv(lines, delimiter)
+      : OrderImport._parseChat(lines);
+
+    const existingNames = InputOrder.getNames(sheetName).map((n) => n.name);
+    const products = ProductCatalog.search("", sheetName);
+    const groups = {};
+    const order = [];
+
+    parsed.entries.forEach((entry) => {
+      const key = entry.name.toLowerCase();
+      if (!groups[key]) {
+        const existing = existingNames.find((n) => n.toLowerCase() === key);
+        groups[key] = {
+          name: existing || entry.name,
+          existing: !!existing,
+          items: [],
+        };
+        order.push(key);
+      }
+
+      // Catalog items may be written by code or name
+      const itemKey = entry.item.toLowerCase();
+      const product = products.find(
+        (p) =>
+          p.code.toLowerCase() === itemKey || p.name.toLowerCase() === itemKey
+      );
+
+      groups[key].items.push({
+        item: product ? product.name : entry.item,
+        quantity: entry.quantity,
+        price:
+          entry.price !== null ? entry.price : product ? product.price : "",
+        productCode: product ? product.code : "",
+      });
+    });
+
+    return {
+      format: delimiter ? "csv" : "chat",
+      groups: order.map((key) => groups[key]),
+      errors: parsed.errors,
+    };
+  }
+
+  /**
+   * Saves parsed groups, one submitOrder() per customer
+   * Each group carries its own requestId, so saving again after a partial
+   * failure does not add the saved groups twice
+   * @param {Object} data - { sheetName, groups: [{ name, items, requestId }] }
+   * @returns {Object} Result object { success, message, results: [{ name, success, message }] }
+   */
+  static submit(data) {
+    const groups = data.groups || [];
+    const results = groups.map((group) => {
+      const result = InputOrder.submitOrder({
+        sheetName: data.sheetName,
+        name: String(group.name || "").trim(),
+        items: group.items,
+        requestId: group.requestId,
+      });
+      return {
+        name: group.name,
+        success: result.success,
+        message: result.message,
+      };
+    });
+    const saved = results.filter((r) => r.success).length;
+
+    return {
+      success: saved === groups.length,
+      message: `${saved} dari ${groups.length} customer berhasil disimpan`,
+      results: results,
+    };
+  }
+
+  /**
+   * Reads a price in rupiah: 85rb, 85k, 1,2jt, 1.5 juta, Rp 85.000, 85000
+   * A plain number below 1000 is not taken as a price unless allowPlain is set,
+   * so "Serum 2" keeps its 2 in the item name
+   * @param {string} text - Price text
+   * @param {boolean} [allowPlain=false] - Accept any plain number (CSV price column)
+   * @returns {number|null} Price, null when the text is not a price
+   */
+  static parsePrice(text, allowPlain = false) {
+    const match = String(text || "")
+      .trim()
+      .toLowerCase()
+      .match(/^@?\s*(rp\.?\s*)?(\d[\d.,]*)\s*(rb|ribu|k|jt|juta)?$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const [, currency, number, suffix] = match;
+
+    if (suffix) {
+      const value = Number(number.replace(",", "."));
+      return isNaN(value)
+        ? null
+        : Math.round(value * IMPORT_PRICE_MULTIPLIERS[suffix]);
+    }
+
+    // Without a suffix dots and commas are thousand separators
+    if (!/^\d+$/.test(number) && !/^\d{1,3}([.,]\d{3})+$/.test(number)) {
+      return null;
+    }
+
+    const value = Number(number.replace(/[.,]/g, ""));
+    return allowPlain || currency || value >= 1000 ? value : null;
+  }
+
+  /**
+   * Splits one CSV line, with "quoted" fields and "" as an escaped quote
+   * Also used for bank mutation files, see BankTransfer
+   * @param {string} line - CSV line
+   * @param {string} delimiter - Tab, semicolon or comma
+   * @returns {Array} Trimmed field values
+   */
+  static splitCsvLine(line, delimiter) {
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === delimiter) {
+        fields.push(field.trim());
+        field = "";
+      } else {
+        field += char;
+      }
+    }
+    fields.push(field.trim());
+
+    return fields;
+  }
+
+  /**
+   * @private
+   */
+  static _parseChat(lines) {
+    const entries = [];
+    const errors = [];
+    let currentName = "";
+
+    lines.forEach((raw, i) => {
+      const line = raw.replace(IMPORT_CHAT_PREFIX, "").trim();
+      if (!line) return;
+
+      let itemsText = line;
+      const named = line.match(/^([^:\d][^:]{0,49}):\s*(.*)$/);
+      if (named) {
+        currentName = named[1].trim();
+        itemsText = named[2];
+      }
+
+      if (!currentName) {
+        errors.push({
+          line: i + 1,
+          text: raw,
+          message: 'Nama customer tidak ditemukan, tulis "Nama: item"',
+        });
+        return;
+      }
+
+      // Split on ; and on commas that are not decimal commas (1,2jt)
+      itemsText.split(/;|,(?!\d)/).forEach((segment) => {
+        if (!segment.trim()) return;
+
+        try {
+          entries.push(
+            Object.assign(
+              { name: currentName },
+              OrderImport._parseItem(segment)
+            )
+          );
+        } catch (error) {
+          errors.push({
+            line: i + 1,
+            text: segment.trim(),
+            message: error.message,
+          });
+        }
+      });
+    });
+
+    return { entries: entries, errors: errors };
+  }
+
+  /**
+   * One chat item: "2x Lipstik A 85rb", "Serum x2 @120rb", "1 Serum"
+   * @private
+   */
+  static _parseItem(segment) {
+    let text = segment.trim().replace(/^[-•*·]\s*/, "");
+    let price = null;
+    let quantity = null;
+
+    const priceMatch = text.match(
+      /(?:^|\s)(@?\s*(?:rp\.?\s*)?\d[\d.,]*\s*(?:rb|ribu|k|jt|juta)?)$/i
+    );
+    if (priceMatch) {
+      price = OrderImport.parsePrice(priceMatch[1]);
+      if (price !== null) {
+        text = text.substring(0, text.length - priceMatch[0].length).trim();
+      }
+    }
+
+    const leading = text.match(/^(\d+)\s*(?:x|pcs|pc|buah|bh)?\s+/i);
+    const trailing = text.match(
+      /\s+(?:x\s*(\d+)|(\d+)\s*(?:x|pcs|pc|buah|bh))$/i
+    );
+    if (leading) {
+      quantity = Number(leading[1]);
+      text = text.substring(leading[0].length);
+    } else if (trailing) {
+      quantity = Number(trailing[1] || trailing[2]);
+      text = text.substring(0, text.length - trailing[0].length);
+    }
+
+    const item = text.replace(/@\s*$/, "").trim();
+    if (!item) {
+      throw new Error("Nama item kosong");
+    }
+
+    return { item: item, quantity: quantity || 1, price: price };
+  }
+
+  /**
+   * @private
+   */
+  static _parseCsv(lines, delimiter) {
+    const entries = [];
+    const errors = [];
+    const rows = lines
+      .map((line, i) => ({
+        line: i + 1,
+        text: line,
+        fields: OrderImport.splitCsvLine(line, delimiter),
+      }))
+      .filter((row) => row.fields.some((f) => f !== ""));
+
+    let columns = { name: 0, item: 1, quantity: 2, price: 3 };
+    const header =
+      rows.length > 0 ? OrderImport._csvColumns(rows[0].fields) : null;
+    if (header) {
+      columns = header;
+      rows.shift();
+    }
+
+    let currentName = "";
+    rows.forEach((row) => {
+      const field = (column) =>
+        columns[column] === undefined ? "" : row.fields[columns[column]] || "";
+
+      currentName = field("name") || currentName;
+      const item = field("item");
+      const quantity = field("quantity") === "" ? 1 : Number(field("quantity"));
+      const price =
+        field("price") === ""
+          ? null
+          : OrderImport.parsePrice(field("price"), true);
+
+      let message = "";
+      if (!currentName) message = "Nama customer kosong";
+      else if (!item) message = "Nama item kosong";
+      else if (!(quantity > 0))
+        message = `Qty "${field("quantity")}" tidak valid`;
+      else if (field("price") !== "" && price === null)
+        message = `Harga "${field("price")}" tidak valid`;
+
+      if (message) {
+        errors.push({ line: row.line, text: row.text, message: message });
+        return;
+      }
+
+      entries.push({
+        name: currentName,
+        item: item,
+        quantity: quantity,
+        price: price,
+      });
+    });
+
+    return { entries: entries, errors: errors };
+  }
+
+  /**
+   * Column positions from a header row, null when the row is data
+   * @private
+   */
+  static _csvColumns(fields) {
+    const columns = {};
+    fields.forEach((field, i) => {
+      const name = field.toLowerCase();
+      Object.keys(IMPORT_CSV_HEADERS).forEach((column) => {
+        if (
+          columns[column] === undefined &&
+          IMPORT_CSV_HEADERS[column].includes(name)
+        ) {
+          columns[column] = i;
+        }
+      });
+    });
+
+    return columns.name !== undefined && columns.item !== undefined
+      ? columns
+      : null;
+  }
+
+  /**
+   * Tab, semicolon or comma when the first line looks like CSV (3+ fields,
+   * no "Nama:" prefix), otherwise null for chat text. A line starting with a
+   * WhatsApp timestamp is chat even with commas in it, as in the Android
+   * export "12/01/25, 10:15 - Rina: 1 Serum, 2 Lipstik A"
+   * @private
+   */
+  static _csvDelimiter(lines) {
+    const first = lines.find((line) => line.trim() !== "");
+    if (!first || IMPORT_CHAT_PREFIX.test(first.trim())) {
+      return null;
+    }
+
+    return (
+      ["\t", ";", ","].find((delimiter) => {
+        const fields = OrderImport.splitCsvLine(first, delimiter);
+        return fields.length >= 3 && !fields[0].includes(":");
+      }) || null
+    );
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function parseOrderImport(token, text, sheetName) {
+  AccessControl.require(token);
+  return OrderImport.parse(text, sheetName);
+}
+
+function importOrders(token, data) {
+  AccessControl.require(token);
+  return OrderImport.submit(data);
+}
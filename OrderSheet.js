@@ -0,0 +1,484 @@
+/**
+ * Column layout of the ORDER sheet (1-based)
+ * One row per invoice line, rows of the same invoice share the Invoice ID
+ */
+const ORDER_COLUMNS = {
+  DATE: 1, // A
+  INVOICE_ID: 2, // B
+  NAME: 3, // C
+  PHONE: 4, // D
+  ITEM: 5, // E
+  QTY: 6, // F
+  PRICE: 7, // G
+  SUBTOTAL: 8, // H
+  STATUS: 9, // I
+  PAID_AT: 10, // J
+  EVENT: 11, // K
+  PAYMENT_URL: 12, // L
+  TOKEN_ID: 13, // M
+  SESSION_ID: 14, // N
+  EXPIRED_DATE: 15, // O
+  FILE_URL: 16, // P
+  PROMO_CODE: 17, // Q
+  PAYMENT_TYPE: 18, // R - full | dp | settlement, kosong = full
+  ORDER_ID: 19, // S - invoice pertama dari order (invoice DP), kosong = Invoice ID sendiri
+  AMOUNT_DUE: 20, // T - nominal link bayar, kosong = total invoice
+  PAYMENT_METHOD: 21, // U - doku | transfer, kosong = doku
+};
+
+const ORDER_HEADERS = [
+  "Date",
+  "Invoice ID",
+  "Name",
+  "Phone",
+  "Item",
+  "Qty",
+  "Unit Price",
+  "SubTotal",
+  "Status",
+  "Paid At",
+  "Event",
+  "Payment URL",
+  "DOKU Token ID",
+  "DOKU Session ID",
+  "Expired Date",
+  "File URL",
+  "Promo Code",
+  "Payment Type",
+  "Order ID",
+  "Amount Due",
+  "Payment Method",
+];
+
+// Invoice-level amounts are stored as extra ORDER rows with these item names
+const ORDER_DISCOUNT_ITEM = "Diskon"; // Unit Price positif, SubTotal negatif, termasuk potongan promo
+const ORDER_SHIPPING_ITEM = "Ongkir";
+const ORDER_TAX_ITEM = "PPN";
+const ORDER_SETTLEMENT_ITEM = "Pelunasan"; // satu-satunya baris invoice pelunasan
+const ORDER_UNIQUE_CODE_ITEM = "Kode Unik"; // 3 digit penanda invoice transfer bank
+
+/**
+ * How an invoice is paid
+ * full       - one payment for the whole total
+ * dp         - down payment: the rows hold the whole order, the link bills Amount Due
+ * settlement - remaining balance of a DP invoice (its Order ID)
+ */
+const PAYMENT_TYPE = {
+  FULL: "full",
+  DP: "dp",
+  SETTLEMENT: "settlement",
+};
+
+/**
+ * How the customer pays
+ * doku     - DOKU checkout link, confirmed by DOKU notifications
+ * transfer - plain bank transfer of the exact total (with its unique code),
+ *            confirmed from imported bank mutations
+ */
+const PAYMENT_METHOD = {
+  DOKU: "doku",
+  TRANSFER: "transfer",
+};
+
+/**
+ * Invoice lifecycle
+ * draft     - rows saved, document/payment link not created yet
+ * unpaid    - invoice sent, waiting for payment
+ * partial   - DP paid, waiting for the settlement invoice
+ * paid      - payment confirmed by DOKU or a bank mutation (for a DP invoice: fully settled)
+ * expired   - payment link expired without payment
+ * cancelled - cancelled manually
+ */
+const INVOICE_STATUS = {
+  DRAFT: "draft",
+  UNPAID: "unpaid",
+  PARTIAL: "partial",
+  PAID: "paid",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * OrderSheet Class
+ * Reads and updates invoice records stored in the ORDER sheet
+ */
+class OrderSheet {
+  /**
+   * Gets the ORDER sheet and makes sure the status columns have headers
+   * @returns {Sheet} The ORDER sheet
+   */
+  static getSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_ORDER);
+
+    if (!sheet) {
+      throw new Error("Sheet not found: " + SHEET_ORDER);
+    }
+
+    OrderSheet._ensureHeaders(sheet);
+    return sheet;
+  }
+
+  /**
+   * Finds all ORDER rows belonging to an invoice
+   * @param {string} invoiceId - Invoice ID, e.g. INV-20250116-0001
+   * @returns {Array} Array of { row, values } where row is the sheet row number
+   */
+  static findInvoiceRows(invoiceId) {
+    const sheet = OrderSheet.getSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    const data = sheet
+      .getRange(2, 1, lastRow - 1, ORDER_HEADERS.length)
+      .getValues();
+    const rows = [];
+
+    for (let i = 0; i < data.length; i++) {
+      if (String(data[i][ORDER_COLUMNS.INVOICE_ID - 1]) === invoiceId) {
+        rows.push({ row: i + 2, values: data[i] });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Sums the SubTotal of every row of an invoice (items, discount and shipping)
+   * @param {Array} rows - Rows returned by findInvoiceRows()
+   * @returns {number} Invoice total
+   */
+  static getInvoiceTotal(rows) {
+    return rows.reduce(
+      (sum, r) => sum + (Number(r.values[ORDER_COLUMNS.SUBTOTAL - 1]) || 0),
+      0
+    );
+  }
+
+  /**
+   * Amount billed by the invoice's payment link
+   * @param {Array} rows - Rows returned by findInvoiceRows()
+   * @returns {number} Amount Due, or the invoice total when it has none
+   */
+  static getAmountDue(rows) {
+    return (
+      Number(rows[0].values[ORDER_COLUMNS.AMOUNT_DUE - 1]) ||
+      OrderSheet.getInvoiceTotal(rows)
+    );
+  }
+
+  /**
+   * Rebuilds an invoice from its ORDER rows, for re-sending it
+   * The Diskon, Ongkir, PPN and Kode Unik rows become amounts; the PPN rate
+   * is not stored and is worked out from the PPN amount
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Object} Invoice record (see getInvoices()) with items (item rows
+   *   only), lines (every row, price signed so lines add up to the total),
+   *   subtotal, discount, shipping, tax, taxRate and uniqueCode
+   */
+  static getInvoiceDetail(invoiceId) {
+    const rows = OrderSheet.findInvoiceRows(invoiceId);
+
+    if (rows.length === 0) {
+      throw new Error("Invoice not found: " + invoiceId);
+    }
+
+    const invoice = OrderSheet._toInvoice(rows[0].values);
+    const lines = rows.map((r) => {
+      const quantity = Number(r.values[ORDER_COLUMNS.QTY - 1]) || 0;
+      const subtotal = Number(r.values[ORDER_COLUMNS.SUBTOTAL - 1]) || 0;
+      return {
+        item: String(r.values[ORDER_COLUMNS.ITEM - 1]),
+        quantity: quantity,
+        price: quantity ? subtotal / quantity : subtotal,
+      };
+    });
+    const amountOf = (name) =>
+      lines
+        .filter((line) => line.item === name)
+        .reduce((sum, line) => sum + Math.abs(line.quantity * line.price), 0);
+
+    invoice.lines = lines;
+    invoice.items = lines.filter(
+      (line) =>
+        ![
+          ORDER_DISCOUNT_ITEM,
+          ORDER_SHIPPING_ITEM,
+          ORDER_TAX_ITEM,
+          ORDER_UNIQUE_CODE_ITEM,
+        ].includes(line.item)
+    );
+    invoice.subtotal = invoice.items.reduce(
+      (sum, item) => sum + item.quantity * item.price,
+      0
+    );
+    invoice.discount = amountOf(ORDER_DISCOUNT_ITEM);
+    invoice.shipping = amountOf(ORDER_SHIPPING_ITEM);
+    invoice.tax = amountOf(ORDER_TAX_ITEM);
+    invoice.uniqueCode = amountOf(ORDER_UNIQUE_CODE_ITEM);
+    invoice.taxRate =
+      invoice.tax > 0
+        ? Math.round(
+            (invoice.tax * 10000) /
+              Math.max(invoice.subtotal - invoice.discount, 1)
+          ) / 100
+        : 0;
+    invoice.total = OrderSheet.getInvoiceTotal(rows);
+    invoice.amountDue = OrderSheet.getAmountDue(rows);
+
+    return invoice;
+  }
+
+  /**
+   * Gets the balance of an order paid in parts (DP and settlement invoices)
+   * An invoice without DP is an order of its own
+   * @param {string} orderId - Invoice ID of the order (the DP invoice)
+   * @param {Array} [invoices] - Result of getInvoices(), read when not given
+   * @returns {Object} { orderId, total, paid, outstanding, invoices }
+   */
+  static getBalance(orderId, invoices) {
+    const related = (invoices || OrderSheet.getInvoices()).filter(
+      (invoice) => invoice.orderId === orderId
+    );
+    const order = related.find((invoice) => invoice.invoiceId === orderId);
+
+    if (!order) {
+      throw new Error("Invoice not found: " + orderId);
+    }
+
+    const paid = related
+      .filter(
+        (invoice) =>
+          invoice.status === INVOICE_STATUS.PAID ||
+          invoice.status === INVOICE_STATUS.PARTIAL
+      )
+      .reduce((sum, invoice) => sum + invoice.amountDue, 0);
+
+    return {
+      orderId: orderId,
+      total: order.total,
+      paid: paid,
+      outstanding: Math.max(order.total - paid, 0),
+      invoices: related.map((invoice) => ({
+        invoiceId: invoice.invoiceId,
+        paymentType: invoice.paymentType,
+        amountDue: invoice.amountDue,
+        status: invoice.status,
+      })),
+    };
+  }
+
+  /**
+   * Gets all invoices, one record per Invoice ID
+   * @returns {Array} Array of invoice objects, newest first
+   */
+  static getInvoices() {
+    const sheet = OrderSheet.getSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    const data = sheet
+      .getRange(2, 1, lastRow - 1, ORDER_HEADERS.length)
+      .getValues();
+    const invoices = {};
+    const order = [];
+
+    data.forEach((values) => {
+      const invoiceId = String(values[ORDER_COLUMNS.INVOICE_ID - 1]);
+      if (!invoiceId) return;
+
+      if (!invoices[invoiceId]) {
+        invoices[invoiceId] = OrderSheet._toInvoice(values);
+        order.push(invoiceId);
+      }
+
+      const invoice = invoices[invoiceId];
+      invoice.total += Number(values[ORDER_COLUMNS.SUBTOTAL - 1]) || 0;
+      invoice.items.push({
+        item: String(values[ORDER_COLUMNS.ITEM - 1]),
+        quantity: Number(values[ORDER_COLUMNS.QTY - 1]) || 0,
+        price: Number(values[ORDER_COLUMNS.PRICE - 1]) || 0,
+      });
+    });
+
+    return order.reverse().map((id) => {
+      const invoice = invoices[id];
+      invoice.amountDue = invoice.amountDue || invoice.total;
+      return invoice;
+    });
+  }
+
+  /**
+   * Updates invoice-level columns on every row of an invoice
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} fields - Values keyed by ORDER_COLUMNS name, e.g. { STATUS: "paid" }
+   * @returns {number} Number of rows updated
+   */
+  static updateInvoice(invoiceId, fields) {
+    const sheet = OrderSheet.getSheet();
+    const rows = OrderSheet.findInvoiceRows(invoiceId);
+
+    rows.forEach((r) => {
+      Object.keys(fields).forEach((key) => {
+        if (!ORDER_COLUMNS[key]) {
+          throw new Error("Unknown ORDER column: " + key);
+        }
+        sheet.getRange(r.row, ORDER_COLUMNS[key]).setValue(fields[key]);
+      });
+    });
+
+    return rows.length;
+  }
+
+  /**
+   * Marks every row of an invoice as paid
+   * @param {string} invoiceId - Invoice ID
+   * @param {Date} paidAt - Payment time
+   * @returns {number} Number of rows updated
+   */
+  static markInvoicePaid(invoiceId, paidAt) {
+    return OrderSheet.updateInvoice(invoiceId, {
+      STATUS: INVOICE_STATUS.PAID,
+      PAID_AT: paidAt,
+    });
+  }
+
+  /**
+   * Marks an invoice as paid after checking the paid amount against its Amount Due
+   * A paid DP invoice becomes partial; a paid settlement invoice also marks
+   * its DP invoice paid once nothing is outstanding.
+   * Calling it again for an invoice that is already paid changes nothing;
+   * a payment for a cancelled invoice is refused and logged for a refund.
+   * Takes the document lock itself, so never call it inside Concurrency.withLock()
+   * @param {string} invoiceId - Invoice ID
+   * @param {number} amount - Amount paid according to DOKU
+   * @param {string|Date} [paidAt] - Payment time, default now
+   * @returns {Object} Result object with success status, changed flag and message
+   */
+  static confirmPayment(invoiceId, amount, paidAt) {
+    return Concurrency.withLock(() => {
+      const rows = OrderSheet.findInvoiceRows(invoiceId);
+
+      if (rows.length === 0) {
+        throw new Error("Invoice not found: " + invoiceId);
+      }
+
+      const invoice = OrderSheet._toInvoice(rows[0].values);
+      const alreadyPaid =
+        invoice.status === INVOICE_STATUS.PAID ||
+        (invoice.paymentType === PAYMENT_TYPE.DP &&
+          invoice.status === INVOICE_STATUS.PARTIAL);
+      if (alreadyPaid) {
+        return {
+          success: true,
+          changed: false,
+          message:
+            invoice.status === INVOICE_STATUS.PARTIAL
+              ? `DP ${invoiceId} sudah dibayar`
+              : `${invoiceId} sudah lunas`,
+        };
+      }
+
+      // The rows may already be billed again, the payment needs a refund
+      if (invoice.status === INVOICE_STATUS.CANCELLED) {
+        AuditLog.write("payment.cancelled", {
+          invoiceId: invoiceId,
+          outcome: LOG_OUTCOME.FAILURE,
+          details: { amount: amount, paidAt: paidAt || "" },
+        });
+        throw new Error(
+          `${invoiceId} sudah dibatalkan, pembayaran tidak dicatat`
+        );
+      }
+
+      const amountDue = OrderSheet.getAmountDue(rows);
+      if (amount !== amountDue) {
+        throw new Error(
+          `Amount mismatch for ${invoiceId}: paid ${amount}, expected ${amountDue}`
+        );
+      }
+
+      const paidDate = paidAt ? new Date(paidAt) : new Date();
+
+      if (invoice.paymentType === PAYMENT_TYPE.DP) {
+        OrderSheet.updateInvoice(invoiceId, {
+          STATUS: INVOICE_STATUS.PARTIAL,
+          PAID_AT: paidDate,
+        });
+        return {
+          success: true,
+          changed: true,
+          message: `DP ${invoiceId} diterima, sisa ${CreateInvoice.formatCurrency(
+            OrderSheet.getBalance(invoiceId).outstanding
+          )}`,
+        };
+      }
+
+      OrderSheet.markInvoicePaid(invoiceId, paidDate);
+
+      if (
+        invoice.paymentType === PAYMENT_TYPE.SETTLEMENT &&
+        OrderSheet.getBalance(invoice.orderId).outstanding === 0
+      ) {
+        OrderSheet.markInvoicePaid(invoice.orderId, paidDate);
+      }
+
+      return {
+        success: true,
+        changed: true,
+        message: `${invoiceId} ditandai lunas`,
+      };
+    });
+  }
+
+  /**
+   * Builds an invoice record from its first ORDER row
+   * Dates are returned as ISO strings so the record can go through google.script.run
+   * @private
+   */
+  static _toInvoice(values) {
+    const value = (column) => values[ORDER_COLUMNS[column] - 1];
+    const toIso = (date) => (date instanceof Date ? date.toISOString() : "");
+
+    return {
+      invoiceId: String(value("INVOICE_ID")),
+      date: toIso(value("DATE")),
+      customerName: String(value("NAME")),
+      phoneNumber: String(value("PHONE")),
+      event: String(value("EVENT")),
+      status: String(value("STATUS")) || INVOICE_STATUS.UNPAID,
+      paidAt: toIso(value("PAID_AT")),
+      paymentUrl: String(value("PAYMENT_URL")),
+      tokenId: String(value("TOKEN_ID")),
+      sessionId: String(value("SESSION_ID")),
+      expiredDate: toIso(value("EXPIRED_DATE")),
+      fileUrl: String(value("FILE_URL")),
+      promoCode: String(value("PROMO_CODE")),
+      paymentType: String(value("PAYMENT_TYPE")) || PAYMENT_TYPE.FULL,
+      orderId: String(value("ORDER_ID")) || String(value("INVOICE_ID")),
+      amountDue: Number(value("AMOUNT_DUE")) || 0, // getInvoices() fills in the total
+      paymentMethod: String(value("PAYMENT_METHOD")) || PAYMENT_METHOD.DOKU,
+      total: 0,
+      items: [],
+    };
+  }
+
+  /**
+   * Writes header labels for columns that don't have one yet
+   * @private
+   */
+  static _ensureHeaders(sheet) {
+    const range = sheet.getRange(1, 1, 1, ORDER_HEADERS.length);
+    const headers = range.getValues()[0];
+
+    if (headers.every((h) => h !== "")) {
+      return;
+    }
+
+    range.setValues([headers.map((h, i) => (h !== "" ? h : ORDER_HEADERS[i]))]);
+  }
+}
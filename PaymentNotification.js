@@ -0,0 +1,98 @@
+/**
+ * PaymentNotification Class
+ * Handles DOKU HTTP Notification (payment result) sent to doPost
+ *
+ * Apps Script does not expose request headers to doPost, so DOKU's notification
+ * URL points to the n8n relay, which forwards the original request as:
+ * {
+ *   headers: { "Client-Id", "Request-Id", "Request-Timestamp", "Signature", "Digest" },
+ *   body: "<raw notification body, unchanged>",
+ *   target: "/path/registered/at/doku" (optional, default CONFIG DOKU_NOTIFICATION_TARGET)
+ * }
+ */
+class PaymentNotification {
+  /**
+   * Verifies a forwarded DOKU notification and marks the invoice as paid
+   * @param {Object} e - doPost event object
+   * @returns {Object} Result object with success status and message
+   */
+  static handle(e) {
+    try {
+      const envelope = PaymentNotification._parseEnvelope(e);
+
+      const doku = DokuPayment.fromConfig();
+      const verification = doku.verifyNotification(
+        envelope.headers,
+        envelope.body,
+        envelope.target || Config.get("DOKU_NOTIFICATION_TARGET")
+      );
+
+      if (!verification.valid) {
+        AuditLog.write("doku.notification", {
+          outcome: LOG_OUTCOME.FAILURE,
+          details: { error: verification.error, headers: envelope.headers },
+        });
+        return { success: false, message: verification.error };
+      }
+
+      const notification = JSON.parse(envelope.body);
+      const invoiceId = notification.order && notification.order.invoice_number;
+      const status =
+        notification.transaction && notification.transaction.status;
+
+      if (!invoiceId) {
+        throw new Error("Notification has no invoice number");
+      }
+
+      if (status !== "SUCCESS") {
+        AuditLog.write("doku.notification", {
+          invoiceId: invoiceId,
+          outcome: LOG_OUTCOME.INFO,
+          details: { status: status },
+        });
+        return {
+          success: true,
+          message: `Status ${status} untuk ${invoiceId} diabaikan`,
+        };
+      }
+
+      const result = OrderSheet.confirmPayment(
+        invoiceId,
+        Number(notification.order.amount),
+        notification.transaction.date
+      );
+
+      AuditLog.write("doku.notification", {
+        invoiceId: invoiceId,
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: { status: status, message: result.message },
+      });
+
+      return result;
+    } catch (error) {
+      AuditLog.write("doku.notification", {
+        outcome: LOG_OUTCOME.FAILURE,
+        details: { error: error.message },
+      });
+      return { success: false, message: "Error: " + error.message };
+    }
+  }
+
+  /**
+   * Reads the relay envelope from the doPost event
+   * @private
+   */
+  static _parseEnvelope(e) {
+    if (!e || !e.postData || !e.postData.contents) {
+      throw new Error("Empty request body");
+    }
+
+    const envelope = JSON.parse(e.postData.contents);
+
+    if (!envelope.headers || typeof envelope.body !== "string") {
+      throw new Error("Expected relay envelope with headers and raw body");
+    }
+
+    return envelope;
+  }
+}
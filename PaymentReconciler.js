@@ -0,0 +1,177 @@
+/**
+ * PaymentReconciler Class
+ * Asks DOKU for the status of every unpaid invoice and updates ORDER,
+ * for payments whose notification never reached doPost
+ */
+class PaymentReconciler {
+  /**
+   * Checks every unpaid invoice against DOKU's Check Status API
+   * @param {Object} [options]
+   * @param {DokuPayment} [options.doku] - DOKU client, default uses CONFIG credentials
+   * @param {boolean} [options.dryRun=false] - Only report, don't write to ORDER or LOG
+   * @returns {Object} Summary { checkedAt, checked, paid, expired, unchanged, errors, dryRun }
+   */
+  static run(options = {}) {
+    const doku = options.doku || DokuPayment.fromConfig();
+    const dryRun = !!options.dryRun;
+    const now = new Date();
+
+    const summary = {
+      checkedAt: now.toISOString(),
+      checked: 0,
+      paid: [],
+      expired: [],
+      unchanged: 0,
+      errors: [],
+      dryRun: dryRun,
+    };
+
+    // Transfer invoices have no DOKU link, they are confirmed by BankTransfer
+    const invoices = OrderSheet.getInvoices().filter(
+      (invoice) =>
+        invoice.status === INVOICE_STATUS.UNPAID &&
+        invoice.paymentMethod !== PAYMENT_METHOD.TRANSFER
+    );
+
+    invoices.forEach((invoice) => {
+      summary.checked++;
+
+      try {
+        const result = doku.getPaymentStatus(invoice.invoiceId);
+
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+
+        const linkExpired =
+          invoice.expiredDate && new Date(invoice.expiredDate) < now;
+
+        if (result.status === "SUCCESS") {
+          if (result.amount !== invoice.amountDue) {
+            throw new Error(
+              `Amount mismatch: paid ${result.amount}, expected ${invoice.amountDue}`
+            );
+          }
+          if (!dryRun) {
+            OrderSheet.confirmPayment(
+              invoice.invoiceId,
+              result.amount,
+              result.transactionDate
+            );
+          }
+          summary.paid.push(invoice.invoiceId);
+        } else if (
+          result.status === "EXPIRED" ||
+          (linkExpired &&
+            (result.status === "NOT_FOUND" || result.status === "FAILED"))
+        ) {
+          const expired = dryRun || PaymentReconciler._markExpired(invoice);
+          if (expired) {
+            summary.expired.push(invoice.invoiceId);
+          } else {
+            summary.unchanged++;
+          }
+        } else {
+          summary.unchanged++;
+        }
+      } catch (error) {
+        summary.errors.push({
+          invoiceId: invoice.invoiceId,
+          error: error.message,
+        });
+      }
+    });
+
+    Logger.log("Payment reconciliation: " + JSON.stringify(summary));
+
+    if (!dryRun) {
+      AuditLog.write("payment.reconcile", {
+        outcome:
+          summary.errors.length > 0 ? LOG_OUTCOME.FAILURE : LOG_OUTCOME.SUCCESS,
+        details: summary,
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Writes EXPIRED unless a payment or a re-issued link arrived while DOKU
+   * was being asked; checked and written under the lock like confirmPayment()
+   * @private
+   * @returns {boolean} Whether the invoice was marked expired
+   */
+  static _markExpired(invoice) {
+    return Concurrency.withLock(() => {
+      const rows = OrderSheet.findInvoiceRows(invoice.invoiceId);
+      const value = (column) =>
+        rows.length > 0
+          ? String(rows[0].values[ORDER_COLUMNS[column] - 1])
+          : "";
+
+      if (
+        (value("STATUS") || INVOICE_STATUS.UNPAID) !== INVOICE_STATUS.UNPAID ||
+        value("PAYMENT_URL") !== invoice.paymentUrl
+      ) {
+        return false;
+      }
+
+      OrderSheet.updateInvoice(invoice.invoiceId, {
+        STATUS: INVOICE_STATUS.EXPIRED,
+      });
+      return true;
+    });
+  }
+}
+
+/**
+ * Time-driven trigger handler
+ * Installed by installReconcileTrigger_()
+ */
+function reconcilePayments_() {
+  return PaymentReconciler.run();
+}
+
+/**
+ * Installs (or replaces) the trigger that runs reconcilePayments_ every 30 minutes
+ * Run once from the Apps Script editor
+ */
+function installReconcileTrigger_() {
+  ScriptApp.getProjectTriggers()
+    .filter((trigger) => trigger.getHandlerFunction() === "reconcilePayments_")
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+
+  ScriptApp.newTrigger("reconcilePayments_")
+    .timeBased()
+    .everyMinutes(30)
+    .create();
+}
+
+/**
+ * Test function for reconciliation against the DOKU stand-in
+ * Runs as dry run: the first unpaid invoice is reported paid, the rest pending
+ * Can be run directly from Apps Script editor
+ */
+function testReconcilePayments_() {
+  const unpaid = OrderSheet.getInvoices().filter(
+    (invoice) => invoice.status === INVOICE_STATUS.UNPAID
+  );
+  const orders = {};
+  unpaid.forEach((invoice, i) => {
+    orders[invoice.invoiceId] = {
+      status: i === 0 ? "SUCCESS" : "PENDING",
+      amount: invoice.amountDue,
+    };
+  });
+
+  const standIn = new DokuStandIn("standin-client", "standin-secret", orders);
+  const doku = new DokuPayment("standin-client", "standin-secret", "", {
+    baseUrl: DokuStandIn.BASE_URL,
+    fetcher: standIn,
+    auditLog: false,
+  });
+
+  const summary = PaymentReconciler.run({ doku: doku, dryRun: true });
+  Logger.log("Stand-in requests: " + standIn.requests.length);
+  return summary;
+}
@@ -0,0 +1,113 @@
+/**
+ * Column layout of the PRODUCT sheet (1-based)
+ * Maintained by hand; leave Event empty for products sold at every event
+ */
+const PRODUCT_COLUMNS = {
+  CODE: 1, // A
+  NAME: 2, // B
+  PRICE: 3, // C - harga default
+  EVENT: 4, // D - opsional, nama sheet event
+};
+
+const PRODUCT_HEADERS = ["Code", "Name", "Default Price", "Event"];
+
+const PRODUCT_NON_CATALOG = "non-catalog"; // isi kolom kode produk untuk item ketik bebas
+
+/**
+ * ProductCatalog Class
+ * Read access to the PRODUCT sheet and matching of order items to it
+ */
+class ProductCatalog {
+  /**
+   * Searches products available for an event
+   * @param {string} [query] - Matches code or name (case-insensitive), empty for all
+   * @param {string} [eventName] - Event sheet name, products of other events are skipped
+   * @returns {Array} Array of { code, name, price, event }, sorted by name
+   */
+  static search(query, eventName) {
+    const text = (query || "").toString().trim().toLowerCase();
+
+    return ProductCatalog._getProducts()
+      .filter((p) => ProductCatalog._isAvailable(p, eventName))
+      .filter(
+        (p) =>
+          !text ||
+          p.code.toLowerCase().includes(text) ||
+          p.name.toLowerCase().includes(text)
+      )
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Matches an order item to the catalog
+   * A given product code must exist; without a code the item name is looked up.
+   * Items that match nothing are kept as typed and marked as non-catalog.
+   * @param {Object} item - { item, quantity, price, productCode }
+   * @param {string} eventName - Event sheet name
+   * @returns {Object} { item, quantity, price, productCode }
+   */
+  static resolveItem(item, eventName) {
+    const products = ProductCatalog._getProducts().filter((p) =>
+      ProductCatalog._isAvailable(p, eventName)
+    );
+    const name = (item.item || "").toString().trim();
+    const code = (item.productCode || "").toString().trim();
+    let product;
+
+    if (code && code !== PRODUCT_NON_CATALOG) {
+      product = products.find((p) => p.code === code);
+      if (!product) {
+        throw new Error(`Produk ${code} tidak ada di katalog event ini`);
+      }
+    } else {
+      product = products.find(
+        (p) => p.name.toLowerCase() === name.toLowerCase()
+      );
+    }
+
+    return {
+      item: product ? product.name : name,
+      quantity: item.quantity,
+      price: item.price,
+      productCode: product ? product.code : PRODUCT_NON_CATALOG,
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _isAvailable(product, eventName) {
+    return !product.event || product.event === eventName;
+  }
+
+  /**
+   * @private
+   */
+  static _getProducts() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_PRODUCT);
+
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return [];
+    }
+
+    return sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, PRODUCT_HEADERS.length)
+      .getValues()
+      .map((values) => ({
+        code: String(values[PRODUCT_COLUMNS.CODE - 1]).trim(),
+        name: String(values[PRODUCT_COLUMNS.NAME - 1]).trim(),
+        price: Number(values[PRODUCT_COLUMNS.PRICE - 1]) || 0,
+        event: String(values[PRODUCT_COLUMNS.EVENT - 1]).trim(),
+      }))
+      .filter((p) => p.code && p.name);
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function searchProducts(token, query, eventName) {
+  AccessControl.require(token);
+  return ProductCatalog.search(query, eventName);
+}
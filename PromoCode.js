@@ -0,0 +1,253 @@
+/**
+ * Column layout of the PROMO sheet (1-based)
+ * Maintained by hand: one row per promo code
+ */
+const PROMO_COLUMNS = {
+  CODE: 1, // A
+  TYPE: 2, // B - percent | fixed | free_shipping
+  VALUE: 3, // C - persen, rupiah, atau batas ongkir gratis (kosong = semua)
+  MIN_SPEND: 4, // D - minimal total item (opsional)
+  VALID_FROM: 5, // E - tanggal mulai (opsional)
+  VALID_UNTIL: 6, // F - tanggal akhir, termasuk hari itu (opsional)
+  USAGE_LIMIT: 7, // G - jumlah invoice maksimal (kosong = tanpa batas, 1 = voucher sekali pakai)
+  DESCRIPTION: 8, // H
+};
+
+const PROMO_HEADERS = [
+  "Code",
+  "Type",
+  "Value",
+  "Min Spend",
+  "Valid From",
+  "Valid Until",
+  "Usage Limit",
+  "Description",
+];
+
+const PROMO_TYPE = {
+  PERCENT: "percent",
+  FIXED: "fixed",
+  FREE_SHIPPING: "free_shipping",
+};
+
+/**
+ * PromoCode Class
+ * Checks promo codes from the PROMO sheet and calculates their discount.
+ * Usage is counted from ORDER (Promo Code column), leaving out cancelled
+ * and expired invoices so their codes can be used again.
+ */
+class PromoCode {
+  /**
+   * Checks a code and calculates its discount, throws when it cannot be used
+   * @param {string} code - Promo code (case-insensitive)
+   * @param {number} itemsTotal - Total of the invoice items
+   * @param {number} [shipping=0] - Shipping cost of the invoice
+   * @param {Date} [date=now] - Invoice date
+   * @returns {Object} { code, type, description, discount }
+   */
+  static apply(code, itemsTotal, shipping = 0, date = new Date()) {
+    const promo = PromoCode._find(code);
+
+    if (!promo) {
+      throw new Error(`Kode promo ${code} tidak ditemukan`);
+    }
+
+    if (promo.validFrom && date < PromoCode._startOfDay(promo.validFrom)) {
+      throw new Error(`Kode promo ${promo.code} belum berlaku`);
+    }
+
+    if (promo.validUntil && date > PromoCode._endOfDay(promo.validUntil)) {
+      throw new Error(`Kode promo ${promo.code} sudah berakhir`);
+    }
+
+    if (itemsTotal < promo.minSpend) {
+      throw new Error(
+        `Kode promo ${
+          promo.code
+        } hanya untuk belanja minimal ${CreateInvoice.formatCurrency(
+          promo.minSpend
+        )}`
+      );
+    }
+
+    if (promo.usageLimit > 0) {
+      const used = PromoCode._usageCount(promo.code);
+      if (used >= promo.usageLimit) {
+        throw new Error(`Kode promo ${promo.code} sudah habis dipakai`);
+      }
+    }
+
+    let discount;
+    switch (promo.type) {
+      case PROMO_TYPE.PERCENT:
+        discount = Math.round((itemsTotal * promo.value) / 100);
+        break;
+      case PROMO_TYPE.FIXED:
+        discount = Math.min(promo.value, itemsTotal);
+        break;
+      case PROMO_TYPE.FREE_SHIPPING:
+        discount = promo.value > 0 ? Math.min(promo.value, shipping) : shipping;
+        if (discount <= 0) {
+          throw new Error(
+            `Kode promo ${promo.code} hanya berlaku jika ada ongkir`
+          );
+        }
+        break;
+      default:
+        throw new Error(
+          `Tipe promo ${promo.type} tidak dikenal (percent, fixed, free_shipping)`
+        );
+    }
+
+    return {
+      code: promo.code,
+      type: promo.type,
+      description: promo.description,
+      discount: discount,
+    };
+  }
+
+  /**
+   * Same as apply() but returns a result object, for the invoice form
+   * @param {string} code - Promo code
+   * @param {number} itemsTotal - Total of the selected items
+   * @param {number} [shipping=0] - Shipping cost
+   * @returns {Object} { success, message, code, type, discount }
+   */
+  static check(code, itemsTotal, shipping) {
+    try {
+      const promo = PromoCode.apply(
+        code,
+        Number(itemsTotal) || 0,
+        Number(shipping) || 0
+      );
+      return {
+        success: true,
+        message: `${promo.code}: potongan ${CreateInvoice.formatCurrency(
+          promo.discount
+        )}${promo.description ? " (" + promo.description + ")" : ""}`,
+        code: promo.code,
+        type: promo.type,
+        discount: promo.discount,
+      };
+    } catch (error) {
+      return { success: false, message: error.message, discount: 0 };
+    }
+  }
+
+  /**
+   * Throws when a code has no uses left, not counting one invoice
+   * For an expired invoice that is sent again: it stopped counting when it expired
+   * @param {string} code - Promo code
+   * @param {string} invoiceId - Invoice left out of the count
+   */
+  static checkUsage(code, invoiceId) {
+    const promo = PromoCode._find(code);
+
+    if (
+      promo &&
+      promo.usageLimit > 0 &&
+      PromoCode._usageCount(promo.code, invoiceId) >= promo.usageLimit
+    ) {
+      throw new Error(`Kode promo ${promo.code} sudah habis dipakai`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _find(code) {
+    const key = String(code || "")
+      .trim()
+      .toUpperCase();
+    if (!key) {
+      return null;
+    }
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_PROMO);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return null;
+    }
+
+    const values = sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, PROMO_HEADERS.length)
+      .getValues()
+      .find(
+        (v) =>
+          String(v[PROMO_COLUMNS.CODE - 1])
+            .trim()
+            .toUpperCase() === key
+      );
+
+    if (!values) {
+      return null;
+    }
+
+    const value = (column) => values[PROMO_COLUMNS[column] - 1];
+    const promo = {
+      code: key,
+      type: String(value("TYPE")).trim().toLowerCase(),
+      value: Number(value("VALUE")) || 0,
+      minSpend: Number(value("MIN_SPEND")) || 0,
+      validFrom: value("VALID_FROM") instanceof Date ? value("VALID_FROM") : "",
+      validUntil:
+        value("VALID_UNTIL") instanceof Date ? value("VALID_UNTIL") : "",
+      usageLimit: Number(value("USAGE_LIMIT")) || 0,
+      description: String(value("DESCRIPTION")).trim(),
+    };
+
+    // A wrong Value cell must not make the total negative
+    if (
+      promo.value < 0 ||
+      (promo.type === PROMO_TYPE.PERCENT && promo.value > 100)
+    ) {
+      throw new Error(
+        `Kode promo ${key}: nilai ${promo.value} tidak valid` +
+          (promo.type === PROMO_TYPE.PERCENT ? ", harus 0 sampai 100" : "")
+      );
+    }
+
+    return promo;
+  }
+
+  /**
+   * Number of invoices using the code that still count (not cancelled or expired)
+   * @private
+   */
+  static _usageCount(code, excludeInvoiceId) {
+    return OrderSheet.getInvoices().filter(
+      (invoice) =>
+        invoice.promoCode.toUpperCase() === code &&
+        invoice.invoiceId !== excludeInvoiceId &&
+        invoice.status !== INVOICE_STATUS.CANCELLED &&
+        invoice.status !== INVOICE_STATUS.EXPIRED
+    ).length;
+  }
+
+  /**
+   * @private
+   */
+  static _startOfDay(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+  }
+
+  /**
+   * @private
+   */
+  static _endOfDay(date) {
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function checkPromoCode(token, code, itemsTotal, shipping) {
+  AccessControl.require(token);
+  return PromoCode.check(code, itemsTotal, shipping);
+}
@@ -0,0 +1,163 @@
+const REPORT_TOP_CUSTOMERS = 10;
+
+/**
+ * SalesReport Class
+ * Sales totals over ORDER and the event sheets
+ */
+class SalesReport {
+  /**
+   * Builds the sales report
+   * ORDER figures are filtered by invoice date and event; the invoiced vs.
+   * uninvoiced figures come from the event sheets, which have no dates, so
+   * they are only filtered by event.
+   * @param {Object} [filters] - { from, to (yyyy-MM-dd, inclusive), event }
+   * @returns {Object} { summary, perEvent, perItem, topCustomers, billing }
+   */
+  static build(filters = {}) {
+    const from = filters.from ? new Date(filters.from + "T00:00:00") : null;
+    const to = filters.to ? new Date(filters.to + "T23:59:59.999") : null;
+    // Draft, expired and cancelled invoices are not counted as sales
+    const statuses = [
+      INVOICE_STATUS.UNPAID,
+      INVOICE_STATUS.PARTIAL,
+      INVOICE_STATUS.PAID,
+    ];
+
+    // Settlement invoices bill part of a DP order, they are counted through their DP invoice
+    const allInvoices = OrderSheet.getInvoices();
+    const invoices = allInvoices.filter((invoice) => {
+      const date = new Date(invoice.date);
+      return (
+        statuses.includes(invoice.status) &&
+        invoice.paymentType !== PAYMENT_TYPE.SETTLEMENT &&
+        (!filters.event || invoice.event === filters.event) &&
+        (!from || date >= from) &&
+        (!to || date <= to)
+      );
+    });
+
+    const summary = {
+      invoices: invoices.length,
+      revenue: 0,
+      paid: 0,
+      outstanding: 0,
+      discount: 0,
+      shipping: 0,
+      tax: 0,
+    };
+    const perEvent = {};
+    const perItem = {};
+    const perCustomer = {};
+
+    invoices.forEach((invoice) => {
+      const paid =
+        invoice.paymentType === PAYMENT_TYPE.DP
+          ? OrderSheet.getBalance(invoice.invoiceId, allInvoices).paid
+          : invoice.status === INVOICE_STATUS.PAID
+          ? invoice.total
+          : 0;
+      summary.revenue += invoice.total;
+      summary.paid += paid;
+      summary.outstanding += invoice.total - paid;
+
+      const event = SalesReport._entry(perEvent, invoice.event || "-", {
+        event: invoice.event || "-",
+        invoices: 0,
+        revenue: 0,
+        paid: 0,
+      });
+      event.invoices++;
+      event.revenue += invoice.total;
+      event.paid += paid;
+
+      const customer = SalesReport._entry(perCustomer, invoice.customerName, {
+        customerName: invoice.customerName,
+        invoices: 0,
+        total: 0,
+      });
+      customer.invoices++;
+      customer.total += invoice.total;
+
+      invoice.items.forEach((line) => {
+        if (line.item === ORDER_DISCOUNT_ITEM) {
+          summary.discount += line.price * line.quantity;
+        } else if (line.item === ORDER_SHIPPING_ITEM) {
+          summary.shipping += line.price * line.quantity;
+        } else if (line.item === ORDER_TAX_ITEM) {
+          summary.tax += line.price * line.quantity;
+        } else if (line.item !== ORDER_UNIQUE_CODE_ITEM) {
+          // The transfer code is part of revenue but not an item sold
+          const item = SalesReport._entry(perItem, line.item.toLowerCase(), {
+            item: line.item,
+            quantity: 0,
+            value: 0,
+          });
+          item.quantity += line.quantity;
+          item.value += line.price * line.quantity;
+        }
+      });
+    });
+
+    return {
+      summary: summary,
+      perEvent: Object.values(perEvent).sort((a, b) => b.revenue - a.revenue),
+      perItem: Object.values(perItem).sort((a, b) => b.quantity - a.quantity),
+      topCustomers: Object.values(perCustomer)
+        .sort((a, b) => b.total - a.total)
+        .slice(0, REPORT_TOP_CUSTOMERS),
+      billing: SalesReport._billing(filters.event),
+    };
+  }
+
+  /**
+   * Value of event sheet rows with and without an Invoice ID
+   * @private
+   */
+  static _billing(eventName) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetNames = eventName
+      ? [eventName]
+      : CreateInvoice.getAvailableSheets();
+    const billing = { invoiced: 0, uninvoiced: 0, uninvoicedLines: 0 };
+
+    sheetNames.forEach((sheetName) => {
+      const sheet = ss.getSheetByName(sheetName);
+      if (!sheet || sheet.getLastRow() <= 1) return;
+
+      sheet
+        .getRange(2, 1, sheet.getLastRow() - 1, EVENT_INVOICE_COLUMN)
+        .getValues()
+        .forEach(([, item, quantity, price, invoiceId]) => {
+          if (!item || item.toString().trim() === "") return;
+
+          const value = (Number(quantity) || 0) * (Number(price) || 0);
+          if (invoiceId) {
+            billing.invoiced += value;
+          } else {
+            billing.uninvoiced += value;
+            billing.uninvoicedLines++;
+          }
+        });
+    });
+
+    return billing;
+  }
+
+  /**
+   * @private
+   */
+  static _entry(map, key, initial) {
+    if (!map[key]) {
+      map[key] = initial;
+    }
+    return map[key];
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function getSalesReport(token, filters) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return SalesReport.build(filters);
+}
@@ -0,0 +1,144 @@
+/**
+ * Column layout of the STOCK sheet (1-based)
+ * Maintained by hand: one row per limited item per event
+ */
+const STOCK_COLUMNS = {
+  EVENT: 1, // A - nama sheet event
+  ITEM: 2, // B - kode produk atau nama item
+  QUANTITY: 3, // C - jumlah stok tersedia
+};
+
+const STOCK_HEADERS = ["Event", "Item", "Available Qty"];
+
+/**
+ * StockLimit Class
+ * Per-event stock limits. Remaining stock is not stored: it is the available
+ * quantity minus what is ordered in the event sheet, so deleting, editing or
+ * moving order lines gives the stock back by itself.
+ */
+class StockLimit {
+  /**
+   * Gets the remaining stock of every limited item of an event
+   * @param {string} sheetName - Name of the event sheet
+   * @returns {Array} Array of { item, available, ordered, remaining }
+   */
+  static getRemaining(sheetName) {
+    const lines = StockLimit._getOrderedLines(sheetName);
+
+    return StockLimit._getLimits(sheetName).map((limit) => {
+      const ordered = lines
+        .filter((line) => StockLimit._matches(limit.item, line))
+        .reduce((sum, line) => sum + line.quantity, 0);
+
+      return {
+        item: limit.item,
+        available: limit.available,
+        ordered: ordered,
+        remaining: limit.available - ordered,
+      };
+    });
+  }
+
+  /**
+   * Throws when the items would order more than the remaining stock
+   * @param {string} sheetName - Name of the event sheet
+   * @param {Array} items - Items to add: { item, quantity, productCode }
+   * @param {number} [replacedRow] - Row being edited, its current quantity is given back first
+   */
+  static checkOrder(sheetName, items, replacedRow) {
+    const limits = StockLimit._getLimits(sheetName);
+    if (limits.length === 0) {
+      return;
+    }
+
+    const lines = StockLimit._getOrderedLines(sheetName).filter(
+      (line) => line.row !== Number(replacedRow)
+    );
+
+    limits.forEach((limit) => {
+      const requested = items
+        .filter((item) => StockLimit._matches(limit.item, item))
+        .reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+
+      if (requested === 0) {
+        return;
+      }
+
+      const ordered = lines
+        .filter((line) => StockLimit._matches(limit.item, line))
+        .reduce((sum, line) => sum + line.quantity, 0);
+      const remaining = Math.max(limit.available - ordered, 0);
+
+      if (requested > remaining) {
+        throw new Error(
+          `Stok ${limit.item} tidak cukup: sisa ${remaining}, dipesan ${requested}`
+        );
+      }
+    });
+  }
+
+  /**
+   * A STOCK item matches a line by product code or by item name (case-insensitive)
+   * @private
+   */
+  static _matches(stockItem, line) {
+    const key = stockItem.toLowerCase();
+    return (
+      (line.productCode || "").toString().toLowerCase() === key ||
+      (line.item || "").toString().trim().toLowerCase() === key
+    );
+  }
+
+  /**
+   * @private
+   */
+  static _getLimits(sheetName) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(SHEET_STOCK);
+
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return [];
+    }
+
+    return sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, STOCK_HEADERS.length)
+      .getValues()
+      .filter((v) => String(v[STOCK_COLUMNS.EVENT - 1]).trim() === sheetName)
+      .map((v) => ({
+        item: String(v[STOCK_COLUMNS.ITEM - 1]).trim(),
+        available: Number(v[STOCK_COLUMNS.QUANTITY - 1]) || 0,
+      }))
+      .filter((limit) => limit.item);
+  }
+
+  /**
+   * @private
+   */
+  static _getOrderedLines(sheetName) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(sheetName);
+
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return [];
+    }
+
+    return sheet
+      .getRange(2, 1, sheet.getLastRow() - 1, EVENT_PRODUCT_COLUMN)
+      .getValues()
+      .map(([, item, quantity, , , productCode], i) => ({
+        row: i + 2,
+        item: item,
+        quantity: Number(quantity) || 0,
+        productCode: productCode,
+      }))
+      .filter((line) => line.item && line.item.toString().trim() !== "");
+  }
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function getRemainingStock(token, sheetName) {
+  AccessControl.require(token);
+  return StockLimit.getRemaining(sheetName);
+}
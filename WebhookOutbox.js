@@ -0,0 +1,388 @@
+/**
+ * Column layout of the OUTBOX sheet (1-based)
+ * One row per webhook delivery
+ */
+const OUTBOX_COLUMNS = {
+  ID: 1, // A
+  CREATED_AT: 2, // B
+  INVOICE_ID: 3, // C
+  PAYLOAD: 4, // D
+  STATUS: 5, // E
+  ATTEMPTS: 6, // F
+  NEXT_ATTEMPT_AT: 7, // G
+  LAST_ERROR: 8, // H
+  SENT_AT: 9, // I
+};
+
+const OUTBOX_HEADERS = [
+  "ID",
+  "Created At",
+  "Invoice ID",
+  "Payload",
+  "Status",
+  "Attempts",
+  "Next Attempt At",
+  "Last Error",
+  "Sent At",
+];
+
+/**
+ * pending - waiting for (another) delivery attempt
+ * sent    - delivered to n8n
+ * failed  - gave up after OUTBOX_MAX_ATTEMPTS, only re-sent by hand
+ */
+const OUTBOX_STATUS = {
+  PENDING: "pending",
+  SENT: "sent",
+  FAILED: "failed",
+};
+
+const OUTBOX_MAX_ATTEMPTS = 8;
+const OUTBOX_MAX_BACKOFF_MINUTES = 6 * 60;
+const OUTBOX_SEND_CLAIM_MINUTES = 5; // processDue leaves a row being sent alone this long
+
+/**
+ * WebhookOutbox Class
+ * Stores webhook payloads in the OUTBOX sheet and delivers them with retries.
+ * Every request is signed so n8n can verify it came from this script:
+ *   X-Webhook-Timestamp: unix seconds
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with CONFIG WEBHOOK_SECRET>
+ */
+class WebhookOutbox {
+  /**
+   * Queues a payload and tries to deliver it right away
+   * The row is queued with its first retry OUTBOX_SEND_CLAIM_MINUTES ahead,
+   * so processDue() cannot send it a second time while this attempt runs
+   * @param {string} invoiceId - Related invoice ID
+   * @param {Object} payload - Webhook payload
+   * @returns {Object} Result object { success, id, message }
+   */
+  static send(invoiceId, payload) {
+    const claimedUntil = new Date(
+      new Date().getTime() + OUTBOX_SEND_CLAIM_MINUTES * 60 * 1000
+    );
+    const id = WebhookOutbox.enqueue(invoiceId, payload, claimedUntil);
+    return WebhookOutbox.deliver(id);
+  }
+
+  /**
+   * Adds a payload to the outbox
+   * @param {string} invoiceId - Related invoice ID
+   * @param {Object} payload - Webhook payload
+   * @param {Date} [nextAttemptAt] - First time processDue() may send it, default now
+   * @returns {string} Outbox ID
+   */
+  static enqueue(invoiceId, payload, nextAttemptAt) {
+    const id = Utilities.getUuid();
+    const now = new Date();
+
+    WebhookOutbox._getSheet().appendRow([
+      id,
+      now,
+      invoiceId,
+      JSON.stringify(payload),
+      OUTBOX_STATUS.PENDING,
+      0,
+      nextAttemptAt || now,
+      "",
+      "",
+    ]);
+
+    return id;
+  }
+
+  /**
+   * Makes one delivery attempt, scheduling the next one with backoff on failure
+   * @param {string} id - Outbox ID
+   * @returns {Object} Result object { success, id, message }
+   */
+  static deliver(id) {
+    const sheet = WebhookOutbox._getSheet();
+    const entry = WebhookOutbox._findEntry(sheet, id);
+
+    if (!entry) {
+      throw new Error("Outbox entry not found: " + id);
+    }
+
+    const attempts = entry.attempts + 1;
+
+    try {
+      const timestamp = String(Math.floor(new Date().getTime() / 1000));
+      const response = UrlFetchApp.fetch(Config.get("WEBHOOK_URL"), {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": WebhookOutbox.sign(entry.payload, timestamp),
+        },
+        payload: entry.payload,
+        muteHttpExceptions: true,
+      });
+      const responseCode = response.getResponseCode();
+
+      if (responseCode < 200 || responseCode >= 300) {
+        throw new Error(`Webhook failed with status ${responseCode}`);
+      }
+
+      WebhookOutbox._update(sheet, entry.row, {
+        STATUS: OUTBOX_STATUS.SENT,
+        ATTEMPTS: attempts,
+        LAST_ERROR: "",
+        SENT_AT: new Date(),
+      });
+
+      AuditLog.write("webhook.send", {
+        invoiceId: entry.invoiceId,
+        outcome: LOG_OUTCOME.SUCCESS,
+        details: {
+          outboxId: id,
+          attempt: attempts,
+          responseCode: responseCode,
+        },
+      });
+
+      return { success: true, id: id, message: "Webhook terkirim" };
+    } catch (error) {
+      const gaveUp = attempts >= OUTBOX_MAX_ATTEMPTS;
+
+      WebhookOutbox._update(sheet, entry.row, {
+        STATUS: gaveUp ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING,
+        ATTEMPTS: attempts,
+        NEXT_ATTEMPT_AT: WebhookOutbox._nextAttemptAt(attempts),
+        LAST_ERROR: error.message,
+      });
+
+      AuditLog.write("webhook.send", {
+        invoiceId: entry.invoiceId,
+        outcome: LOG_OUTCOME.FAILURE,
+        details: {
+          outboxId: id,
+          attempt: attempts,
+          gaveUp: gaveUp,
+          error: error.message,
+        },
+      });
+
+      return {
+        success: false,
+        id: id,
+        message: gaveUp
+          ? "Webhook gagal: " + error.message
+          : "Webhook gagal, akan dicoba lagi: " + error.message,
+      };
+    }
+  }
+
+  /**
+   * Delivers every pending entry whose next attempt is due
+   * @returns {Object} Summary { attempted, sent, failed }
+   */
+  static processDue() {
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(1000)) {
+      return { attempted: 0, sent: 0, failed: 0, skipped: "already running" };
+    }
+
+    try {
+      const now = new Date();
+      const due = WebhookOutbox._getEntries().filter(
+        (e) =>
+          e.status === OUTBOX_STATUS.PENDING &&
+          (!(e.nextAttemptAt instanceof Date) || e.nextAttemptAt <= now)
+      );
+      const summary = { attempted: due.length, sent: 0, failed: 0 };
+
+      due.forEach((e) => {
+        const result = WebhookOutbox.deliver(e.id);
+        summary[result.success ? "sent" : "failed"]++;
+      });
+
+      return summary;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Lists deliveries that have not been sent yet, newest first
+   * @returns {Array} Array of { id, createdAt, invoiceId, customerName, status, attempts, nextAttemptAt, lastError }
+   */
+  static getUndelivered() {
+    const toIso = (date) => (date instanceof Date ? date.toISOString() : "");
+
+    return WebhookOutbox._getEntries()
+      .filter((e) => e.status !== OUTBOX_STATUS.SENT)
+      .reverse()
+      .map((e) => ({
+        id: e.id,
+        createdAt: toIso(e.createdAt),
+        invoiceId: e.invoiceId,
+        customerName: JSON.parse(e.payload).customer_name || "",
+        status: e.status,
+        attempts: e.attempts,
+        nextAttemptAt: toIso(e.nextAttemptAt),
+        lastError: e.lastError,
+      }));
+  }
+
+  /**
+   * Re-sends a delivery by hand, also when it has already given up
+   * @param {string} id - Outbox ID
+   * @returns {Object} Result object { success, id, message }
+   */
+  static resend(id) {
+    try {
+      return WebhookOutbox.deliver(id);
+    } catch (error) {
+      return { success: false, id: id, message: "Error: " + error.message };
+    }
+  }
+
+  /**
+   * Signs a payload for the X-Webhook-Signature header
+   * @param {string} body - JSON body as sent
+   * @param {string} timestamp - Value of X-Webhook-Timestamp
+   * @returns {string} sha256=<hex>
+   */
+  static sign(body, timestamp) {
+    const signature = Utilities.computeHmacSha256Signature(
+      timestamp + "." + body,
+      Config.get("WEBHOOK_SECRET"),
+      Utilities.Charset.UTF_8
+    );
+    const hex = signature
+      .map((b) => ("0" + (b & 0xff).toString(16)).slice(-2))
+      .join("");
+    return "sha256=" + hex;
+  }
+
+  /**
+   * Exponential backoff: 2, 4, 8, ... minutes, capped at OUTBOX_MAX_BACKOFF_MINUTES
+   * @private
+   */
+  static _nextAttemptAt(attempts) {
+    const minutes = Math.min(Math.pow(2, attempts), OUTBOX_MAX_BACKOFF_MINUTES);
+    return new Date(new Date().getTime() + minutes * 60 * 1000);
+  }
+
+  /**
+   * @private
+   */
+  static _getEntries() {
+    const sheet = WebhookOutbox._getSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return [];
+    }
+
+    return sheet
+      .getRange(2, 1, lastRow - 1, OUTBOX_HEADERS.length)
+      .getValues()
+      .map((values, i) => WebhookOutbox._toEntry(values, i + 2));
+  }
+
+  /**
+   * @private
+   */
+  static _findEntry(sheet, id) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) {
+      return null;
+    }
+
+    const ids = sheet
+      .getRange(2, OUTBOX_COLUMNS.ID, lastRow - 1, 1)
+      .getValues();
+    const index = ids.findIndex((v) => v[0] === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const row = index + 2;
+    const values = sheet
+      .getRange(row, 1, 1, OUTBOX_HEADERS.length)
+      .getValues()[0];
+    return WebhookOutbox._toEntry(values, row);
+  }
+
+  /**
+   * @private
+   */
+  static _toEntry(values, row) {
+    const value = (column) => values[OUTBOX_COLUMNS[column] - 1];
+    return {
+      row: row,
+      id: String(value("ID")),
+      createdAt: value("CREATED_AT"),
+      invoiceId: String(value("INVOICE_ID")),
+      payload: String(value("PAYLOAD")),
+      status: String(value("STATUS")),
+      attempts: Number(value("ATTEMPTS")) || 0,
+      nextAttemptAt: value("NEXT_ATTEMPT_AT"),
+      lastError: String(value("LAST_ERROR")),
+    };
+  }
+
+  /**
+   * @private
+   */
+  static _update(sheet, row, fields) {
+    Object.keys(fields).forEach((key) => {
+      sheet.getRange(row, OUTBOX_COLUMNS[key]).setValue(fields[key]);
+    });
+  }
+
+  /**
+   * Gets the OUTBOX sheet, creating it and its header if needed
+   * @private
+   */
+  static _getSheet() {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet =
+      ss.getSheetByName(SHEET_OUTBOX) || ss.insertSheet(SHEET_OUTBOX);
+
+    if (sheet.getLastRow() === 0) {
+      sheet.appendRow(OUTBOX_HEADERS);
+    }
+
+    return sheet;
+  }
+}
+
+/**
+ * Time-driven trigger handler
+ * Installed by installWebhookOutboxTrigger_()
+ */
+function processWebhookOutbox_() {
+  return WebhookOutbox.processDue();
+}
+
+/**
+ * Installs (or replaces) the trigger that retries webhook deliveries every 5 minutes
+ * Run once from the Apps Script editor
+ */
+function installWebhookOutboxTrigger_() {
+  ScriptApp.getProjectTriggers()
+    .filter(
+      (trigger) => trigger.getHandlerFunction() === "processWebhookOutbox_"
+    )
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+
+  ScriptApp.newTrigger("processWebhookOutbox_")
+    .timeBased()
+    .everyMinutes(5)
+    .create();
+}
+
+/**
+ * Global wrapper functions for google.script.run
+ */
+function getUndeliveredWebhooks(token) {
+  AccessControl.require(token);
+  return WebhookOutbox.getUndelivered();
+}
+
+function resendWebhook(token, id) {
+  AccessControl.require(token, USER_ROLE.ADMIN);
+  return WebhookOutbox.resend(id);
+}